@@ -0,0 +1,144 @@
+// lib/activity-schedule.js - Active-hour windows in a chosen timezone
+const crypto = require('crypto');
+
+// Configuration
+const CONFIG = {
+    DAYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    MINUTES_PER_DAY: 1440
+};
+
+// Helper functions
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Wall-clock date and time of `date` in `timeZone`:
+// { date: 'YYYY-MM-DD', hour: 'YYYY-MM-DDTHH', minutes (since midnight) }
+function localTime(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        date: day,
+        hour: `${day}T${parts.hour}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+function shiftDate(day, offset) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + offset);
+    return date.toISOString().slice(0, 10);
+}
+
+function weekday(day) {
+    return CONFIG.DAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+}
+
+function parseClock(value, where) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        throw new Error(`${where}: expected HH:MM, got "${value}"`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Deterministic offset in [-max, max] minutes, so a restart during the day
+// sees the same jittered session times
+function jitterMinutes(seed, max) {
+    if (!max) {
+        return 0;
+    }
+    const value = crypto.createHash('sha1').update(seed).digest().readUInt32BE(0) / 0xFFFFFFFF;
+    return Math.round((value * 2 - 1) * max);
+}
+
+// Windows like { start: '08:30', end: '23:00', days: ['mon', ...] } in one
+// timezone. A window may cross midnight. Each session's start and end are
+// moved by up to `jitter_minutes`, differently every day and per account.
+// No windows means always active.
+class ActivitySchedule {
+    constructor(settings = {}, seed = '') {
+        this.timeZone = settings.timezone || 'UTC';
+        this.jitter = settings.jitter_minutes || 0;
+        this.seed = seed;
+
+        // Throws on an unknown timezone
+        getFormatter(this.timeZone).format(new Date());
+
+        this.windows = (settings.windows || []).map((window, index) => {
+            const where = `active_hours.windows[${index}]`;
+            const days = window.days || CONFIG.DAYS;
+            const unknown = days.filter(day => !CONFIG.DAYS.includes(day));
+            if (unknown.length > 0) {
+                throw new Error(`${where}: unknown days ${unknown.join(', ')} (use ${CONFIG.DAYS.join(', ')})`);
+            }
+            return {
+                start: parseClock(window.start, where),
+                end: parseClock(window.end, where),
+                days
+            };
+        });
+    }
+
+    isEnabled() {
+        return this.windows.length > 0;
+    }
+
+    // The jittered session of window `index` that starts on `day`, in minutes
+    // from that day's midnight, or null if the window doesn't run that day
+    session(index, day) {
+        const window = this.windows[index];
+        if (!window.days.includes(weekday(day))) {
+            return null;
+        }
+
+        const start = window.start + jitterMinutes(`${this.seed}:${day}:${index}:start`, this.jitter);
+        let end = window.end + jitterMinutes(`${this.seed}:${day}:${index}:end`, this.jitter);
+        if (window.end <= window.start) {
+            end += CONFIG.MINUTES_PER_DAY;
+        }
+        return end > start ? { start, end } : null;
+    }
+
+    isActive(now = new Date()) {
+        if (!this.isEnabled()) {
+            return true;
+        }
+
+        const local = localTime(now, this.timeZone);
+        // Sessions that started today, or yesterday and run past midnight
+        for (const offset of [0, -1]) {
+            const day = shiftDate(local.date, offset);
+            const minutes = local.minutes - offset * CONFIG.MINUTES_PER_DAY;
+            for (let index = 0; index < this.windows.length; index++) {
+                const session = this.session(index, day);
+                if (session && minutes >= session.start && minutes < session.end) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = {
+    ActivitySchedule,
+    localTime
+};
@@ -0,0 +1,61 @@
+// lib/adaptive-pacer.js - Delay between GC requests that adapts to how the GC responds
+
+// Additive decrease / multiplicative increase of the delay between requests:
+// every healthy response shortens it by a small step, every timeout or empty
+// profile multiplies it, and it always stays between floor and ceiling.
+// Each actual wait is jittered around the current delay so requests never
+// settle into a fixed rhythm.
+class AdaptivePacer {
+    // options (ms): { floor, ceiling, initial, decreaseStep, backoffFactor, jitter }
+    constructor(options) {
+        this.floor = options.floor;
+        this.ceiling = Math.max(options.ceiling, options.floor);
+        this.decreaseStep = options.decreaseStep;
+        this.backoffFactor = options.backoffFactor;
+        this.jitter = options.jitter;
+        this.currentDelay = this.clamp(options.initial);
+
+        this.stats = {
+            successes: 0,
+            backoffs: { timeout: 0, empty: 0 },
+            lastBackoffAt: null,
+            lastBackoffReason: null
+        };
+    }
+
+    clamp(ms) {
+        return Math.min(this.ceiling, Math.max(this.floor, ms));
+    }
+
+    recordSuccess() {
+        this.stats.successes++;
+        this.currentDelay = this.clamp(this.currentDelay - this.decreaseStep);
+    }
+
+    // reason: 'timeout' | 'empty'
+    recordBackoff(reason) {
+        this.stats.backoffs[reason] = (this.stats.backoffs[reason] || 0) + 1;
+        this.stats.lastBackoffAt = new Date().toISOString();
+        this.stats.lastBackoffReason = reason;
+        this.currentDelay = this.clamp(this.currentDelay * this.backoffFactor);
+    }
+
+    // The next wait: the current delay ± jitter, within floor and ceiling
+    nextDelay() {
+        const spread = this.currentDelay * this.jitter;
+        return this.clamp(this.currentDelay - spread + Math.random() * spread * 2);
+    }
+
+    getStatus() {
+        return {
+            currentDelayMs: Math.round(this.currentDelay),
+            requestsPerMinute: +(60000 / this.currentDelay).toFixed(2),
+            floorMs: this.floor,
+            ceilingMs: this.ceiling,
+            ...this.stats,
+            backoffs: { ...this.stats.backoffs }
+        };
+    }
+}
+
+module.exports = AdaptivePacer;
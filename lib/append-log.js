@@ -0,0 +1,105 @@
+// lib/append-log.js - Crash-safe append-only JSON lines log with compaction
+const fs = require('fs');
+const path = require('path');
+
+// One JSON record per line. Appends are fsync'd before returning, so a record
+// is either fully on disk or (after a crash mid-write) a torn last line that
+// is discarded on the next load. Compaction writes a snapshot to a temp file
+// and renames it over the log, which is atomic on POSIX filesystems.
+class AppendLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fd = null;
+        this.lineCount = 0;
+    }
+
+    // Read every intact record and open the log for appending
+    load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const records = [];
+        let validBytes = 0;
+
+        if (fs.existsSync(this.filePath)) {
+            const content = fs.readFileSync(this.filePath);
+            let offset = 0;
+
+            while (offset < content.length) {
+                const newline = content.indexOf(0x0A, offset);
+                if (newline === -1) {
+                    // No trailing newline: the last write never completed
+                    console.warn(`[STORE] Discarding torn record at end of ${path.basename(this.filePath)}`);
+                    break;
+                }
+
+                const line = content.toString('utf8', offset, newline);
+                offset = newline + 1;
+                validBytes = offset;
+
+                if (!line.trim()) {
+                    continue;
+                }
+
+                try {
+                    records.push(JSON.parse(line));
+                } catch (err) {
+                    console.warn(`[STORE] Skipping corrupt record in ${path.basename(this.filePath)}: ${err.message}`);
+                }
+            }
+
+            if (validBytes < content.length) {
+                fs.truncateSync(this.filePath, validBytes);
+            }
+        }
+
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.lineCount = records.length;
+        return records;
+    }
+
+    append(record) {
+        this.appendMany([record]);
+    }
+
+    appendMany(records) {
+        if (records.length === 0) {
+            return;
+        }
+
+        const data = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        fs.writeSync(this.fd, data);
+        fs.fsyncSync(this.fd);
+        this.lineCount += records.length;
+    }
+
+    // Replace the whole log with the given snapshot records
+    rewrite(records) {
+        const tmpPath = `${this.filePath}.tmp`;
+        const data = records.map(record => JSON.stringify(record) + '\n').join('');
+
+        const tmpFd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(tmpFd, data);
+            fs.fsyncSync(tmpFd);
+        } finally {
+            fs.closeSync(tmpFd);
+        }
+
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.lineCount = records.length;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = AppendLog;
@@ -0,0 +1,157 @@
+// lib/bulk-import.js - Streaming NDJSON / CSV import of harvested Steam IDs
+const readline = require('readline');
+const { normalizeSteamId } = require('./steam-id');
+const { enqueueHarvested, summarizeReport } = require('./ingest');
+
+// Configuration
+const CONFIG = {
+    CHUNK_SIZE: 5000,           // Lines validated before each enqueue
+    MAX_REPORTED_ENTRIES: 1000  // Cap on rejected / normalized details in the summary
+};
+
+const CONTENT_TYPES = {
+    'application/x-ndjson': 'ndjson',
+    'application/ndjson': 'ndjson',
+    'application/jsonl': 'ndjson',
+    'text/csv': 'csv',
+    'text/plain': 'csv'
+};
+
+// Helper functions
+function detectFormat(contentType) {
+    const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return CONTENT_TYPES[mediaType] || null;
+}
+
+// Returns { username, input } for one line, or { error } if it can't be read
+function parseLine(line, format) {
+    if (format === 'ndjson') {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            return { error: 'Invalid JSON line' };
+        }
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { error: 'Expected object with username and steam_id' };
+        }
+        return { username: record.username, input: record.steam_id };
+    }
+
+    const commaIndex = line.indexOf(',');
+    if (commaIndex === -1) {
+        return { error: 'Expected username,steam_id' };
+    }
+
+    return {
+        username: line.slice(0, commaIndex).trim().replace(/^"(.*)"$/, '$1'),
+        input: line.slice(commaIndex + 1).trim().replace(/^"(.*)"$/, '$1')
+    };
+}
+
+function isCsvHeader(line) {
+    return /^"?username"?\s*,\s*"?steam_?id"?$/i.test(line.trim());
+}
+
+class ImportReport {
+    constructor() {
+        this.users = {};
+        this.lines = 0;
+        this.invalidCount = 0;
+        this.reportedEntries = 0;
+        this.truncated = false;
+        this.invalidLines = [];
+    }
+
+    user(username) {
+        if (!this.users[username]) {
+            this.users[username] = { accepted: 0, already_queued: 0, rejected: 0, rejected_ids: [], normalized: [] };
+        }
+        return this.users[username];
+    }
+
+    addDetail(list, entry) {
+        if (this.reportedEntries < CONFIG.MAX_REPORTED_ENTRIES) {
+            list.push(entry);
+            this.reportedEntries++;
+        } else {
+            this.truncated = true;
+        }
+    }
+
+    toJSON() {
+        const summary = summarizeReport(this.users);
+        summary.rejected += this.invalidCount;
+
+        return {
+            lines: this.lines,
+            stats: summary,
+            report: this.users,
+            invalid_lines: this.invalidLines,
+            details_truncated: this.truncated
+        };
+    }
+}
+
+// Read `username,steam_id` records from a stream, validating and merging them
+// into the harvested queue every CHUNK_SIZE lines so memory use stays flat
+async function importStream(stream, { format, queue, meta = null }) {
+    const report = new ImportReport();
+    const input = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let chunk = {};
+    let chunkSize = 0;
+
+    const flush = () => {
+        if (chunkSize === 0) {
+            return;
+        }
+        enqueueHarvested(queue, chunk, report.users, meta);
+        chunk = {};
+        chunkSize = 0;
+    };
+
+    for await (const rawLine of input) {
+        report.lines++;
+        const line = rawLine.trim();
+
+        if (!line || (format === 'csv' && report.lines === 1 && isCsvHeader(line))) {
+            continue;
+        }
+
+        const { username, input: value, error } = parseLine(line, format);
+        if (error || !username || typeof username !== 'string') {
+            report.invalidCount++;
+            report.addDetail(report.invalidLines, { line: report.lines, reason: error || 'Missing username' });
+            continue;
+        }
+
+        const userReport = report.user(username);
+        const { steamId, format: idFormat, reason } = normalizeSteamId(value);
+
+        if (!steamId) {
+            userReport.rejected++;
+            report.addDetail(userReport.rejected_ids, { line: report.lines, input: value, format: idFormat, reason });
+            continue;
+        }
+
+        if (idFormat !== 'steamid64') {
+            report.addDetail(userReport.normalized, { line: report.lines, input: value, steam_id: steamId, format: idFormat });
+        }
+
+        (chunk[username] = chunk[username] || []).push(steamId);
+        chunkSize++;
+
+        if (chunkSize >= CONFIG.CHUNK_SIZE) {
+            flush();
+        }
+    }
+
+    flush();
+    return report.toJSON();
+}
+
+module.exports = {
+    detectFormat,
+    importStream
+};
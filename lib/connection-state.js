@@ -0,0 +1,159 @@
+// lib/connection-state.js - Steam and GC connection states, logon error policies and reconnect backoff
+const { EResult } = require('steam-user');
+
+// Configuration
+const CONFIG = {
+    DELAY_MIN: 5000,    // First reconnect after 5 seconds...
+    DELAY_MAX: 900000,  // ...doubling up to 15 minutes
+    JITTER: 0.3         // Each wait is the backoff ± 30%
+};
+
+const STATES = {
+    DISCONNECTED: 'disconnected',
+    LOGGING_IN: 'logging-in',
+    LOGGED_IN: 'logged-in',
+    LAUNCHING_GAME: 'launching-game',
+    GC_CONNECTED: 'gc-connected',
+    BACKOFF: 'backoff',
+    FATAL: 'fatal'
+};
+
+// Allowed transitions. Any live state can be dropped to disconnected (stop,
+// cooldown, off-hours). Nothing leaves fatal: it lasts until a restart.
+const TRANSITIONS = {
+    [STATES.DISCONNECTED]: [STATES.LOGGING_IN, STATES.BACKOFF, STATES.FATAL],
+    [STATES.LOGGING_IN]: [STATES.LOGGING_IN, STATES.LOGGED_IN, STATES.BACKOFF, STATES.FATAL, STATES.DISCONNECTED],
+    [STATES.LOGGED_IN]: [STATES.LAUNCHING_GAME, STATES.GC_CONNECTED, STATES.LOGGING_IN, STATES.BACKOFF, STATES.FATAL, STATES.DISCONNECTED],
+    [STATES.LAUNCHING_GAME]: [STATES.GC_CONNECTED, STATES.LOGGING_IN, STATES.BACKOFF, STATES.FATAL, STATES.DISCONNECTED],
+    [STATES.GC_CONNECTED]: [STATES.LAUNCHING_GAME, STATES.LOGGING_IN, STATES.BACKOFF, STATES.FATAL, STATES.DISCONNECTED],
+    [STATES.BACKOFF]: [STATES.BACKOFF, STATES.LOGGING_IN, STATES.LAUNCHING_GAME, STATES.FATAL, STATES.DISCONNECTED],
+    [STATES.FATAL]: []
+};
+
+// What to do after a Steam error, by EResult:
+//   action: 'retry' (back off, then log in again) or 'fatal' (give up until restart)
+//   minDelay: first backoff for this result (ms), instead of CONFIG.DELAY_MIN
+//   countsAsFailure: counts towards MAX_ACCOUNT_FAILURES
+const POLICIES = {
+    // Someone is playing on the account; wait for them to finish
+    [EResult.LoggedInElsewhere]: { action: 'retry', minDelay: 600000, countsAsFailure: false },
+    [EResult.LogonSessionReplaced]: { action: 'retry', minDelay: 600000, countsAsFailure: false },
+
+    // Steam is throttling logons from here; retrying sooner only extends it
+    [EResult.RateLimitExceeded]: { action: 'retry', minDelay: 1800000, countsAsFailure: false },
+    [EResult.AccountLoginDeniedThrottle]: { action: 'retry', minDelay: 1800000, countsAsFailure: false },
+
+    // The 2FA code was rejected, usually clock drift or a reused code; the
+    // next code is 30 seconds away
+    [EResult.TwoFactorCodeMismatch]: { action: 'retry', minDelay: 30000, countsAsFailure: true },
+    [EResult.InvalidLoginAuthCode]: { action: 'retry', minDelay: 30000, countsAsFailure: true },
+
+    // Needs a person: retrying can't fix these and may lock the account
+    [EResult.InvalidPassword]: { action: 'fatal' },
+    [EResult.AccountNotFound]: { action: 'fatal' },
+    [EResult.AccountDisabled]: { action: 'fatal' },
+    [EResult.AccountLockedDown]: { action: 'fatal' },
+    [EResult.Banned]: { action: 'fatal' },
+    [EResult.AccountLogonDenied]: { action: 'fatal' },              // Steam Guard email code required
+    [EResult.AccountLoginDeniedNeedTwoFactor]: { action: 'fatal' }  // 2FA required but no maFile code sent
+};
+
+// Network errors, ServiceUnavailable, TryAnotherCM, GC trouble, ...
+const DEFAULT_POLICY = { action: 'retry', minDelay: null, countsAsFailure: true };
+
+// Helper functions
+function policyFor(eresult) {
+    return POLICIES[eresult] || DEFAULT_POLICY;
+}
+
+function resultName(eresult) {
+    return eresult !== undefined && EResult[eresult] !== undefined ? EResult[eresult] : null;
+}
+
+// Where one account's Steam connection is, why it last failed and when it
+// will try again. Backoff doubles with each consecutive failed attempt (from
+// the policy's minDelay) up to the cap, with jitter so accounts that failed
+// together don't all reconnect together, and resets once the GC is reached.
+class ConnectionState {
+    // options (ms): { delayMin, delayMax, jitter }; log: (message) => void
+    constructor({ delayMin = CONFIG.DELAY_MIN, delayMax = CONFIG.DELAY_MAX, jitter = CONFIG.JITTER } = {}, log = console.log) {
+        this.delayMin = delayMin;
+        this.delayMax = delayMax;
+        this.jitter = jitter;
+        this.log = log;
+
+        this.state = STATES.DISCONNECTED;
+        this.since = Date.now();
+        this.reason = null;      // Why the current state was entered
+        this.attempts = 0;       // Consecutive reconnect attempts without reaching the GC
+        this.nextRetryAt = null; // While in backoff (ms)
+        this.lastError = null;   // { message, eresult, result, at }
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    // Returns false (and changes nothing) if `to` isn't allowed from here
+    transition(to, reason = null) {
+        if (!TRANSITIONS[this.state].includes(to)) {
+            this.log(`⚠️ Ignoring connection transition ${this.state} -> ${to}${reason ? ` (${reason})` : ''}`);
+            return false;
+        }
+        if (to !== this.state) {
+            this.log(`🔌 Connection ${this.state} -> ${to}${reason ? ` (${reason})` : ''}`);
+        }
+
+        this.state = to;
+        this.since = Date.now();
+        this.reason = reason;
+        if (to !== STATES.BACKOFF) {
+            this.nextRetryAt = null;
+        }
+        if (to === STATES.GC_CONNECTED) {
+            this.attempts = 0;
+        }
+        return true;
+    }
+
+    recordError(err) {
+        this.lastError = {
+            message: err.message,
+            eresult: err.eresult ?? null,
+            result: resultName(err.eresult),
+            at: new Date().toISOString()
+        };
+    }
+
+    // Enter backoff for the next attempt and return the wait (ms)
+    backoff(policy, reason) {
+        const base = Math.max(policy.minDelay || 0, this.delayMin);
+        const capped = Math.min(base * Math.pow(2, this.attempts), Math.max(this.delayMax, base));
+        const wait = Math.round(capped * (1 + (Math.random() * 2 - 1) * this.jitter));
+
+        if (!this.transition(STATES.BACKOFF, reason)) {
+            return null;
+        }
+        this.attempts++;
+        this.nextRetryAt = Date.now() + wait;
+        return wait;
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            since: new Date(this.since).toISOString(),
+            reason: this.reason,
+            attempts: this.attempts,
+            nextRetryAt: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    STATES,
+    ConnectionState,
+    policyFor,
+    resultName
+};
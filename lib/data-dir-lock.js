@@ -0,0 +1,115 @@
+// lib/data-dir-lock.js - Marks a data directory as in use by a running service
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+    FILE_NAME: 'service.lock',
+    HEARTBEAT_INTERVAL: 60 * 1000,  // How often the running service refreshes its lock
+    STALE_AFTER: 10 * 60 * 1000     // A lock from another host not refreshed for this long is stale
+};
+
+// The queues and stores keep their state in memory and only append to their
+// logs, so a second process writing the same files would be overwritten or
+// corrupt them. The running service leaves a lock file with its pid and
+// refreshes it every minute; a second service refuses to start and offline
+// tools (scripts/) refuse to run while it is held.
+//
+// On the same host a lock is held while its pid is alive. A lock from
+// another host (a shared volume) can't be checked that way, so it is held
+// until it hasn't been refreshed for STALE_AFTER, e.g. after that host
+// crashed.
+
+const heartbeats = new Map(); // dir -> refresh timer of a lock this process holds
+
+// Helper functions
+function lockPath(dir) {
+    return path.join(dir, CONFIG.FILE_NAME);
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM'; // Alive, owned by another user
+    }
+}
+
+function readLockFile(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath(dir), 'utf8'));
+    } catch (err) {
+        return null; // No lock, or a torn one from a crash
+    }
+}
+
+function isOwnLock(lock) {
+    return Boolean(lock) && lock.pid === process.pid && lock.hostname === os.hostname();
+}
+
+// Write and rename so a reader never sees a half-written lock
+function writeLockFile(dir, lock) {
+    const tmpPath = `${lockPath(dir)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(lock));
+    fs.renameSync(tmpPath, lockPath(dir));
+}
+
+// The lock's { pid, hostname, startedAt, updatedAt } if a process other than
+// this one holds it, else null
+function readDataDirLock(dir) {
+    const lock = readLockFile(dir);
+    if (!lock || isOwnLock(lock)) {
+        return null;
+    }
+
+    if (lock.hostname === os.hostname()) {
+        return isAlive(lock.pid) ? lock : null;
+    }
+    const refreshedAt = new Date(lock.updatedAt || lock.startedAt).getTime();
+    return Date.now() - refreshedAt < CONFIG.STALE_AFTER ? lock : null;
+}
+
+// Called by the service on start. Throws while another process holds the
+// lock; a stale one from a crashed run is replaced.
+function acquireDataDirLock(dir) {
+    const holder = readDataDirLock(dir);
+    if (holder) {
+        throw new Error(`Data directory ${dir} is in use by pid ${holder.pid} on ${holder.hostname} ` +
+            `(started ${holder.startedAt}). Stop that service first, or remove ${lockPath(dir)} if it is gone.`);
+    }
+
+    const now = new Date().toISOString();
+    const lock = { pid: process.pid, hostname: os.hostname(), startedAt: now, updatedAt: now };
+    fs.mkdirSync(dir, { recursive: true });
+    writeLockFile(dir, lock);
+
+    clearInterval(heartbeats.get(dir));
+    const timer = setInterval(() => {
+        try {
+            if (isOwnLock(readLockFile(dir))) {
+                writeLockFile(dir, { ...lock, updatedAt: new Date().toISOString() });
+            }
+        } catch (err) {
+            console.error(`[LOCK] Error refreshing ${lockPath(dir)}: ${err.message}`);
+        }
+    }, CONFIG.HEARTBEAT_INTERVAL);
+    timer.unref();
+    heartbeats.set(dir, timer);
+}
+
+function releaseDataDirLock(dir) {
+    clearInterval(heartbeats.get(dir));
+    heartbeats.delete(dir);
+
+    if (isOwnLock(readLockFile(dir))) {
+        fs.rmSync(lockPath(dir), { force: true });
+    }
+}
+
+module.exports = {
+    acquireDataDirLock,
+    releaseDataDirLock,
+    readDataDirLock
+};
@@ -0,0 +1,296 @@
+// lib/filter-rules.js - Declarative profile filter rules
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+    RULES_FILE: path.join(__dirname, '../filter_rules.json'),
+    COMMENDATION_FIELDS: ['cmd_friendly', 'cmd_teaching', 'cmd_leader']
+};
+
+// The criteria the Filter Service has always used, expressed as rules
+const DEFAULT_RULES = [
+    { name: 'commendations ≥ 100', type: 'commendations', field: 'total', max: 99 },
+    { name: 'missing medal 874', type: 'required_medals', medals: [874] },
+    { name: 'less than 3 medals', type: 'medal_count', min: 3 },
+    {
+        name: 'has unwanted medal',
+        type: 'forbidden_medals',
+        medals: [
+            4960, 6111, 6112, 6123, 6126, 6129, 4918, 4555, 4759, 6101, 4687,
+            6113, 6106, 6125, 4886, 4853, 4703, 4552, 960, 4959, 4762, 4919,
+            4828, 4800, 4761, 4626, 4986, 4873, 6127, 6128, 4799, 4702, 909,
+            4550, 6105, 4798, 4553, 4760, 4958, 6114, 4884, 4701, 4700, 6124,
+            4885, 6130, 4690, 6115, 4691, 6131, 4887, 935, 912, 908, 902, 968,
+            952, 946, 6034, 6117, 6116, 6120, 6109, 6104, 6108, 6118, 4623, 4851
+        ]
+    }
+];
+
+// Helper functions
+function getMedals(profile) {
+    return profile.medals?.display_items_defidx || [];
+}
+
+function getCommendation(profile, field) {
+    const commend = profile.commendation || {};
+    if (field === 'total') {
+        return CONFIG.COMMENDATION_FIELDS.reduce((sum, name) => sum + (commend[name] || 0), 0);
+    }
+    return commend[field] || 0;
+}
+
+function checkRange(actual, rule) {
+    if (rule.min !== undefined && actual < rule.min) {
+        return false;
+    }
+    if (rule.max !== undefined && actual > rule.max) {
+        return false;
+    }
+    return true;
+}
+
+function describeRange(rule) {
+    if (rule.min !== undefined && rule.max !== undefined) {
+        return `${rule.min}..${rule.max}`;
+    }
+    return rule.min !== undefined ? `≥ ${rule.min}` : `≤ ${rule.max}`;
+}
+
+// Each check returns { passed, actual, expected, detail }
+const CHECKS = {
+    commendations(rule, profile) {
+        const actual = getCommendation(profile, rule.field);
+        return {
+            passed: checkRange(actual, rule),
+            actual,
+            expected: `${rule.field} ${describeRange(rule)}`,
+            detail: `${rule.field} = ${actual}`
+        };
+    },
+
+    medal_count(rule, profile) {
+        const actual = getMedals(profile).length;
+        return {
+            passed: checkRange(actual, rule),
+            actual,
+            expected: `medal count ${describeRange(rule)}`,
+            detail: `has ${actual} medals`
+        };
+    },
+
+    required_medals(rule, profile) {
+        const medals = getMedals(profile);
+        const missing = rule.medals.filter(medal => !medals.includes(medal));
+        const passed = rule.match === 'any' ? missing.length < rule.medals.length : missing.length === 0;
+        return {
+            passed,
+            actual: medals,
+            expected: `${rule.match === 'any' ? 'any' : 'all'} of [${rule.medals.join(', ')}]`,
+            detail: passed ? null : `missing ${missing.join(', ')}`
+        };
+    },
+
+    forbidden_medals(rule, profile) {
+        const forbidden = new Set(rule.medals);
+        const found = getMedals(profile).filter(medal => forbidden.has(medal));
+        return {
+            passed: found.length === 0,
+            actual: found,
+            expected: 'none of the forbidden medals',
+            detail: found.length > 0 ? `has ${found.join(', ')}` : null
+        };
+    }
+};
+
+const COMPOSITES = ['all', 'any', 'not'];
+
+// Throws with a path to the offending rule if the definition is invalid
+function validateRule(rule, where) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${where}: rule must be an object`);
+    }
+    if (!rule.name || typeof rule.name !== 'string') {
+        throw new Error(`${where}: rule needs a "name" (used as the filter reason)`);
+    }
+
+    const label = `${where} "${rule.name}"`;
+    const composite = COMPOSITES.filter(key => rule[key] !== undefined);
+
+    if (composite.length > 1) {
+        throw new Error(`${label}: use only one of ${COMPOSITES.join(' / ')}`);
+    }
+
+    if (composite.length === 1) {
+        const key = composite[0];
+        const children = key === 'not' ? [rule.not] : rule[key];
+        if (!Array.isArray(children) || children.length === 0) {
+            throw new Error(`${label}: "${key}" needs at least one rule`);
+        }
+        children.forEach((child, index) => validateRule(child, `${label}.${key}[${index}]`));
+        return;
+    }
+
+    if (!CHECKS[rule.type]) {
+        throw new Error(`${label}: unknown type "${rule.type}" (expected ${Object.keys(CHECKS).join(', ')} or ${COMPOSITES.join(' / ')})`);
+    }
+
+    if (rule.type === 'commendations' && !rule.field) {
+        throw new Error(`${label}: commendations rule needs a "field" (total, ${CONFIG.COMMENDATION_FIELDS.join(', ')} ...)`);
+    }
+
+    if (rule.type === 'commendations' || rule.type === 'medal_count') {
+        if (rule.min === undefined && rule.max === undefined) {
+            throw new Error(`${label}: needs "min" and/or "max"`);
+        }
+        for (const bound of ['min', 'max']) {
+            if (rule[bound] !== undefined && typeof rule[bound] !== 'number') {
+                throw new Error(`${label}: "${bound}" must be a number`);
+            }
+        }
+    }
+
+    if (rule.type === 'required_medals' || rule.type === 'forbidden_medals') {
+        if (!Array.isArray(rule.medals) || rule.medals.length === 0 || !rule.medals.every(Number.isInteger)) {
+            throw new Error(`${label}: "medals" must be a non-empty list of medal IDs`);
+        }
+        if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+            throw new Error(`${label}: "match" must be "all" or "any"`);
+        }
+    }
+}
+
+// Evaluate one rule (and its children) without short-circuiting, so every
+// check's outcome and actual values are available to callers
+function evaluateRule(rule, profile) {
+    if (rule.all || rule.any || rule.not) {
+        const key = rule.all ? 'all' : rule.any ? 'any' : 'not';
+        const children = (key === 'not' ? [rule.not] : rule[key]).map(child => evaluateRule(child, profile));
+        const passed = key === 'all' ? children.every(child => child.passed)
+            : key === 'any' ? children.some(child => child.passed)
+            : !children[0].passed;
+
+        return { name: rule.name, type: key, passed, children };
+    }
+
+    return { name: rule.name, type: rule.type, ...CHECKS[rule.type](rule, profile) };
+}
+
+// An ordered list of rules that must all pass. The first failing rule's name
+// is the filter reason.
+class RuleSet {
+    constructor(rules = DEFAULT_RULES, source = 'default') {
+        if (!Array.isArray(rules) || rules.length === 0) {
+            throw new Error(`Filter rules from ${source} must be a non-empty list`);
+        }
+        rules.forEach((rule, index) => validateRule(rule, `${source}[${index}]`));
+
+        this.rules = rules;
+        this.source = source;
+        // Identifies the rules themselves, whatever file or profile they came from
+        this.version = crypto.createHash('sha1').update(JSON.stringify(rules)).digest('hex').slice(0, 12);
+    }
+
+    evaluate(profile) {
+        const checks = this.rules.map(rule => evaluateRule(rule, profile));
+        const failed = checks.find(check => !check.passed);
+
+        return {
+            passed: !failed,
+            reason: failed ? failed.name : null,
+            detail: failed ? failed.detail || null : null,
+            checks
+        };
+    }
+}
+
+// Rules come from config.json "filter_rules", else from the file named by
+// "filter_rules_file" (default filter_rules.json), else the built-in defaults
+function loadRuleSet(userConfig = {}) {
+    if (userConfig.filter_rules) {
+        return new RuleSet(userConfig.filter_rules, 'config.json filter_rules');
+    }
+
+    const rulesFile = userConfig.filter_rules_file
+        ? path.resolve(path.dirname(CONFIG.RULES_FILE), userConfig.filter_rules_file)
+        : CONFIG.RULES_FILE;
+
+    if (fs.existsSync(rulesFile)) {
+        const content = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+        return new RuleSet(Array.isArray(content) ? content : content.rules, path.basename(rulesFile));
+    }
+
+    if (userConfig.filter_rules_file) {
+        throw new Error(`Filter rules file not found: ${rulesFile}`);
+    }
+
+    return new RuleSet();
+}
+
+// Named rule sets chosen per ingest source or per username, falling back to
+// the "default" profile
+class FilterProfiles {
+    constructor(profiles, assignments = {}) {
+        if (!profiles.default) {
+            throw new Error('Filter profiles need a "default" profile');
+        }
+
+        this.profiles = profiles;
+        this.usernames = assignments.usernames || {};
+        this.sources = assignments.sources || {};
+
+        for (const [kind, map] of Object.entries({ usernames: this.usernames, sources: this.sources })) {
+            for (const [key, name] of Object.entries(map)) {
+                if (!profiles[name]) {
+                    throw new Error(`filter_profile_assignments.${kind}.${key}: unknown filter profile "${name}"`);
+                }
+            }
+        }
+    }
+
+    names() {
+        return Object.keys(this.profiles);
+    }
+
+    get(name) {
+        return this.profiles[name] || null;
+    }
+
+    // A batch's ingest source is more specific than the harvester account,
+    // so it wins when both are assigned
+    resolve({ username = null, source = null } = {}) {
+        const name = (source && this.sources[source]) || (username && this.usernames[username]) || 'default';
+        return { name, ruleSet: this.profiles[name] };
+    }
+}
+
+// "filter_profiles" maps profile names to { rules: [...] } or
+// { rules_file: "..." }; a missing "default" uses loadRuleSet() above
+function loadFilterProfiles(userConfig = {}) {
+    const profiles = {};
+
+    for (const [name, definition] of Object.entries(userConfig.filter_profiles || {})) {
+        if (definition.rules) {
+            profiles[name] = new RuleSet(definition.rules, `filter_profiles.${name}`);
+        } else if (definition.rules_file) {
+            profiles[name] = loadRuleSet({ filter_rules_file: definition.rules_file });
+        } else {
+            throw new Error(`filter_profiles.${name}: needs "rules" or "rules_file"`);
+        }
+    }
+
+    if (!profiles.default) {
+        profiles.default = loadRuleSet(userConfig);
+    }
+
+    return new FilterProfiles(profiles, userConfig.filter_profile_assignments);
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    RuleSet,
+    FilterProfiles,
+    loadRuleSet,
+    loadFilterProfiles
+};
@@ -0,0 +1,76 @@
+// lib/gc-client.js - Steam logon and CS2 Game Coordinator client behind one interface
+const EventEmitter = require('events');
+const SteamUser = require('steam-user');
+const GlobalOffensive = require('globaloffensive');
+
+// Configuration
+const CONFIG = {
+    CS2_APP_ID: 730
+};
+
+// Everything SteamAccount and GcRequestManager need from Steam. SteamGcClient
+// is the real implementation; test/support/fake-gc-client.js is a scripted
+// one for running the Filter Service without a network.
+//
+// Methods:
+//   logOn(details)    steam-user logOn details: { refreshToken } or
+//                     { accountName, password, twoFactorCode, rememberPassword }
+//   logOff()
+//   isLoggedOn()
+//   setOnline()
+//   launchGame()      Start playing CS2, which connects to the GC
+//   quitGame()
+//   requestPlayersProfile(steamID)  SteamID object; false if it can't be requested
+//
+// Events:
+//   'loggedOn'
+//   'error' (err)                 Logon failed or the session ended; err.eresult
+//   'disconnected' (eresult, msg) Connection lost; the client logs on again itself
+//   'refreshToken' (token)
+//   'connectedToGC'
+//   'disconnectedFromGC' (reason)
+//   'playersProfile' (profile)    Response to requestPlayersProfile
+class SteamGcClient extends EventEmitter {
+    constructor() {
+        super();
+        this.steamClient = new SteamUser({ renewRefreshTokens: true });
+        this.csgo = new GlobalOffensive(this.steamClient);
+
+        for (const event of ['loggedOn', 'error', 'disconnected', 'refreshToken']) {
+            this.steamClient.on(event, (...args) => this.emit(event, ...args));
+        }
+        for (const event of ['connectedToGC', 'disconnectedFromGC', 'playersProfile']) {
+            this.csgo.on(event, (...args) => this.emit(event, ...args));
+        }
+    }
+
+    logOn(details) {
+        this.steamClient.logOn(details);
+    }
+
+    logOff() {
+        this.steamClient.logOff();
+    }
+
+    isLoggedOn() {
+        return Boolean(this.steamClient.steamID);
+    }
+
+    setOnline() {
+        this.steamClient.setPersona(SteamUser.EPersonaState.Online);
+    }
+
+    launchGame() {
+        this.steamClient.gamesPlayed([CONFIG.CS2_APP_ID]);
+    }
+
+    quitGame() {
+        this.steamClient.gamesPlayed([]);
+    }
+
+    requestPlayersProfile(steamID) {
+        return this.csgo.requestPlayersProfile(steamID);
+    }
+}
+
+module.exports = SteamGcClient;
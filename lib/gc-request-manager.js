@@ -0,0 +1,200 @@
+// lib/gc-request-manager.js - In-flight GC profile requests matched by account_id
+const SteamID = require('steamid');
+
+// Configuration
+const CONFIG = {
+    LATENCY_SAMPLES: 1000,      // Most recent response times kept for percentiles
+    TIMED_OUT_RETENTION: 600000 // Recognize late responses for 10 minutes
+};
+
+// Helper functions
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// Sends requestPlayersProfile for one GC connection and matches responses by
+// account_id through the client's 'playersProfile' event, instead of one
+// callback per request. At most `concurrency` requests are outstanding;
+// further requests wait for a free slot. A response that arrives after its
+// request timed out is counted as late and dropped, and one that matches no
+// request is counted as unmatched, so neither can resolve the wrong request.
+class GcRequestManager {
+    // client: see lib/gc-client.js
+    constructor(client, { concurrency = 1, timeout = 20000 } = {}) {
+        this.client = client;
+        this.concurrency = Math.max(1, concurrency);
+        this.timeout = timeout;
+
+        this.queued = new Map();   // account_id -> entry waiting for a free slot
+        this.inFlight = new Map(); // account_id -> { steamID64, sentAt, timer, waiters }
+        this.timedOut = new Map(); // account_id -> time the request timed out
+        this.slotsInUse = 0;
+        this.slotWaiters = [];     // resolvers waiting for a free slot
+        this.latencies = [];
+        this.latencyIndex = 0;
+
+        this.stats = {
+            sent: 0,
+            completed: 0,
+            timeouts: 0,
+            cancelled: 0,
+            late: 0,
+            unmatched: 0
+        };
+
+        this.client.on('playersProfile', profile => this.handleProfile(profile));
+    }
+
+    // Request a profile. Returns { sent, profile } where `profile` is a promise
+    // and `sent` is false if a request for the same account was already
+    // waiting or outstanding and this call shares its response.
+    request(steamID64) {
+        const steamID = new SteamID(String(steamID64));
+        const accountId = steamID.accountid;
+
+        const existing = this.inFlight.get(accountId) || this.queued.get(accountId);
+        if (existing) {
+            return { sent: false, profile: this.addWaiter(existing) };
+        }
+
+        const entry = { steamID, steamID64: steamID.getSteamID64(), sentAt: null, timer: null, waiters: [] };
+        const profile = this.addWaiter(entry);
+        this.queued.set(accountId, entry);
+        this.dispatch(accountId, entry);
+        return { sent: true, profile };
+    }
+
+    addWaiter(entry) {
+        return new Promise((resolve, reject) => entry.waiters.push({ resolve, reject }));
+    }
+
+    async dispatch(accountId, entry) {
+        await this.acquireSlot();
+
+        if (this.queued.get(accountId) !== entry) {
+            this.releaseSlot(); // Cancelled while waiting for a slot
+            return;
+        }
+        this.queued.delete(accountId);
+
+        entry.sentAt = Date.now();
+        entry.timer = setTimeout(() => {
+            this.stats.timeouts++;
+            this.timedOut.set(accountId, Date.now());
+            const error = new Error(`Timeout fetching profile for ${entry.steamID64}`);
+            error.timeout = true;
+            this.settle(accountId, entry, waiter => waiter.reject(error));
+        }, this.timeout);
+
+        this.inFlight.set(accountId, entry);
+        this.stats.sent++;
+
+        if (this.client.requestPlayersProfile(entry.steamID) === false) {
+            this.settle(accountId, entry, waiter => waiter.reject(new Error(`Not a valid individual Steam ID: ${entry.steamID64}`)));
+        }
+    }
+
+    handleProfile(profile) {
+        const accountId = profile?.account_id;
+        const entry = this.inFlight.get(accountId);
+
+        if (!entry) {
+            this.pruneTimedOut();
+            if (this.timedOut.has(accountId)) {
+                this.stats.late++;
+                this.timedOut.delete(accountId);
+                console.log(`[FILTER] ⌛ Dropped late GC profile response for account ${accountId}`);
+            } else {
+                this.stats.unmatched++;
+            }
+            return;
+        }
+
+        this.recordLatency(Date.now() - entry.sentAt);
+        this.stats.completed++;
+        this.settle(accountId, entry, waiter => waiter.resolve(profile));
+    }
+
+    settle(accountId, entry, notify) {
+        if (this.inFlight.get(accountId) !== entry) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        this.inFlight.delete(accountId);
+        this.releaseSlot();
+        entry.waiters.forEach(notify);
+    }
+
+    // Fail everything waiting or outstanding, e.g. when the GC connection is lost
+    cancelAll(reason) {
+        for (const entry of this.queued.values()) {
+            this.stats.cancelled++;
+            entry.waiters.forEach(waiter => waiter.reject(new Error(`${reason} before requesting profile for ${entry.steamID64}`)));
+        }
+        this.queued.clear();
+
+        for (const [accountId, entry] of [...this.inFlight]) {
+            this.stats.cancelled++;
+            this.settle(accountId, entry, waiter => waiter.reject(new Error(`${reason} while fetching profile for ${entry.steamID64}`)));
+        }
+    }
+
+    acquireSlot() {
+        if (this.slotsInUse < this.concurrency) {
+            this.slotsInUse++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.slotWaiters.push(resolve));
+    }
+
+    // Hand the slot straight to the next waiter, if any
+    releaseSlot() {
+        const next = this.slotWaiters.shift();
+        if (next) {
+            next();
+        } else {
+            this.slotsInUse--;
+        }
+    }
+
+    recordLatency(ms) {
+        if (this.latencies.length < CONFIG.LATENCY_SAMPLES) {
+            this.latencies.push(ms);
+        } else {
+            this.latencies[this.latencyIndex] = ms;
+            this.latencyIndex = (this.latencyIndex + 1) % CONFIG.LATENCY_SAMPLES;
+        }
+    }
+
+    pruneTimedOut() {
+        const cutoff = Date.now() - CONFIG.TIMED_OUT_RETENTION;
+        for (const [accountId, at] of this.timedOut) {
+            if (at >= cutoff) {
+                break;
+            }
+            this.timedOut.delete(accountId);
+        }
+    }
+
+    getStats() {
+        const sorted = [...this.latencies].sort((a, b) => a - b);
+        return {
+            concurrency: this.concurrency,
+            inFlight: this.inFlight.size,
+            waiting: this.queued.size,
+            ...this.stats,
+            latencyMs: {
+                samples: sorted.length,
+                p50: percentile(sorted, 50),
+                p90: percentile(sorted, 90),
+                p99: percentile(sorted, 99),
+                max: sorted.length > 0 ? sorted[sorted.length - 1] : null
+            }
+        };
+    }
+}
+
+module.exports = GcRequestManager;
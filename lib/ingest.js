@@ -0,0 +1,197 @@
+// lib/ingest.js - Harvested Steam ID ingestion helpers
+const fs = require('fs');
+const { normalizeSteamId } = require('./steam-id');
+
+// Configuration
+const CONFIG = {
+    MAX_TRACKED_BATCHES: 1000,          // Remember this many recent batch IDs
+    BATCH_RETENTION: 24 * 60 * 60 * 1000 // Forget batch IDs after 24 hours
+};
+
+// Helper functions
+function readJsonFile(filePath) {
+    try {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8').trim();
+        return content ? JSON.parse(content) : {};
+    } catch (err) {
+        console.error(`[INGEST] Error reading ${filePath}: ${err.message}`);
+        return {};
+    }
+}
+
+// Split a { username: [ids] } payload into valid IDs and per-ID rejections.
+// Only a payload that isn't an object at all is rejected as a whole.
+function parseHarvestedPayload(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { error: 'Invalid JSON format. Expected object with username keys.' };
+    }
+
+    const entries = {};
+    const report = {};
+
+    for (const [username, steamIds] of Object.entries(data)) {
+        report[username] = { accepted: 0, already_queued: 0, rejected: 0, rejected_ids: [], normalized: [] };
+
+        if (!Array.isArray(steamIds)) {
+            report[username].rejected_ids.push({
+                input: steamIds,
+                format: 'unknown',
+                reason: 'Invalid format for user. Expected list of Steam IDs.'
+            });
+            report[username].rejected = 1;
+            continue;
+        }
+
+        entries[username] = [];
+        for (const input of steamIds) {
+            const { steamId, format, reason } = normalizeSteamId(input);
+            if (steamId) {
+                entries[username].push(steamId);
+
+                // Keep the original form of converted IDs so reports can point back to it
+                if (format !== 'steamid64') {
+                    report[username].normalized.push({ input, steam_id: steamId, format });
+                }
+            } else {
+                report[username].rejected_ids.push({ input, format, reason });
+                report[username].rejected++;
+            }
+        }
+    }
+
+    return { entries, report };
+}
+
+// Enqueue valid IDs into the harvested queue and fill in the
+// accepted / already_queued counts of the report. `meta` (e.g. the ingest
+// source) travels with each ID through the later stages.
+function enqueueHarvested(queue, entries, report, meta = null) {
+    const flat = [];
+    for (const [username, steamIds] of Object.entries(entries)) {
+        for (const steamId of steamIds) {
+            flat.push({ username, steamId, meta });
+        }
+    }
+
+    queue.enqueueMany(flat).forEach((added, index) => {
+        const userReport = report[flat[index].username];
+        if (added) {
+            userReport.accepted++;
+        } else {
+            userReport.already_queued++;
+        }
+    });
+
+    return report;
+}
+
+function summarizeReport(report) {
+    const summary = { accepted: 0, already_queued: 0, rejected: 0, users_updated: 0 };
+
+    for (const userReport of Object.values(report)) {
+        summary.accepted += userReport.accepted;
+        summary.already_queued += userReport.already_queued;
+        summary.rejected += userReport.rejected;
+        if (userReport.accepted > 0) {
+            summary.users_updated++;
+        }
+    }
+
+    summary.ids_received = summary.accepted + summary.already_queued;
+    return summary;
+}
+
+// Remembers client-supplied batch IDs so a retried POST is answered with the
+// original report instead of being enqueued and counted a second time.
+// A streaming import reserves its batch ID before the body is read, so a
+// concurrent upload with the same ID is refused rather than imported twice.
+class BatchRegistry {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.batches = readJsonFile(filePath);
+        this.pending = new Set(); // Batch IDs reserved by this process
+
+        // Pending markers left by a previous run are imports that were cut
+        // off; a retry may import them again (queued IDs are not duplicated)
+        for (const [batchId, batch] of Object.entries(this.batches)) {
+            if (batch.pending) {
+                console.warn(`[INGEST] Batch ${batchId} was interrupted before it finished; a retry will import it again`);
+                delete this.batches[batchId];
+            }
+        }
+    }
+
+    // The recorded result of a finished batch
+    get(batchId) {
+        this.prune();
+        const batch = this.batches[batchId];
+        return batch && !batch.pending ? batch : null;
+    }
+
+    isPending(batchId) {
+        return this.pending.has(batchId);
+    }
+
+    // Claims a batch ID for an import in progress; false if it is already
+    // being imported or has finished
+    reserve(batchId) {
+        if (this.pending.has(batchId) || this.get(batchId)) {
+            return false;
+        }
+
+        this.pending.add(batchId);
+        this.batches[batchId] = { pending: true, recordedAt: new Date().toISOString() };
+        this.save();
+        return true;
+    }
+
+    // Gives up a reservation after a failed import so the client can retry
+    release(batchId) {
+        if (!this.pending.delete(batchId)) {
+            return;
+        }
+
+        delete this.batches[batchId];
+        this.save();
+    }
+
+    record(batchId, result) {
+        this.pending.delete(batchId);
+        this.batches[batchId] = { ...result, recordedAt: new Date().toISOString() };
+        this.prune();
+        this.save();
+    }
+
+    prune() {
+        const cutoff = Date.now() - CONFIG.BATCH_RETENTION;
+        const ordered = Object.entries(this.batches)
+            .filter(([batchId, batch]) => this.pending.has(batchId) || new Date(batch.recordedAt).getTime() >= cutoff)
+            .sort((a, b) => new Date(a[1].recordedAt) - new Date(b[1].recordedAt))
+            .slice(-CONFIG.MAX_TRACKED_BATCHES);
+
+        this.batches = Object.fromEntries(ordered);
+    }
+
+    save() {
+        try {
+            // Write and rename so a crash never leaves a half-written registry,
+            // which would read back empty and let retried batches count again
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.batches, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (err) {
+            console.error(`[INGEST] Error saving batch registry: ${err.message}`);
+        }
+    }
+}
+
+module.exports = {
+    parseHarvestedPayload,
+    enqueueHarvested,
+    summarizeReport,
+    BatchRegistry
+};
@@ -0,0 +1,476 @@
+// lib/outbox.js - Durable outbox for callbacks to the main server
+const path = require('path');
+const AppendLog = require('./append-log');
+
+// Configuration
+const CONFIG = {
+    DATA_DIR: path.join(__dirname, '../data'),
+    FILE_NAME: 'outbox.log',
+    POLL_INTERVAL: 1000,            // Check for due messages every second
+    RETRY_DELAY_MIN: 2000,          // First retry after 2 seconds...
+    RETRY_DELAY_MAX: 300000,        // ...doubling up to 5 minutes
+    MAX_ATTEMPTS: 20,               // About an hour of retries at the default delays
+    OUTAGE_FAILURES: 3,             // Different messages failing in a row pause a whole kind
+    MAX_FAILED: 1000,               // Failed messages kept for inspection and retry
+    RECENT_FAILURES: 10,            // Failed messages listed in getStats()
+    DELIVERED_RETENTION: 86400000,  // Remember delivered keys for 24 hours
+    COMPACT_MIN_RECORDS: 1000,
+    COMPACT_RATIO: 2
+};
+
+// Every outbound callback is appended here before it is attempted and only
+// removed once delivered, so nothing is lost to a failed call or a restart.
+// Records:
+//   { op: 'put', id, k: key, kind, body, at }
+//   { op: 'fail', id, n: attempts, next: next attempt time, e: error }
+//   { op: 'done', id, at }
+//   { op: 'dead', id, n: attempts, at, e: error }   gave up on it, see below
+//   { op: 'drop', id }                              failed message retried or dropped
+//
+// Each message has an idempotency key. Adding a key that is pending, or was
+// delivered within DELIVERED_RETENTION, does nothing, and the key is passed
+// to every delivery attempt so the receiver can drop a repeat of a call whose
+// response was lost.
+//
+// Workers register a delivery function per kind of message. A background
+// dispatcher delivers due messages one at a time, highest priority first
+// (see lib/priority-lanes.js) and oldest first within a priority. A message
+// whose delivery fails backs off exponentially on its own, and the others
+// keep going. Only when OUTAGE_FAILURES different messages have failed in a
+// row does the whole kind pause, so a main server outage isn't hammered
+// with every pending message.
+//
+// A message is given up on after maxAttempts failures, or at once when the
+// receiver rejects it with a 4xx other than 401 or 429 (retrying won't
+// change the answer). It moves to the failed list, which getStats() reports
+// and retryFailed() puts back in line.
+class Outbox {
+    constructor(dir = CONFIG.DATA_DIR) {
+        this.log = new AppendLog(path.join(dir, CONFIG.FILE_NAME));
+        this.pending = new Map();   // id -> { id, key, kind, body, priority, createdAt, attempts, nextAttemptAt, lastError }
+        this.keys = new Map();      // idempotency key -> pending id
+        this.delivered = new Map(); // idempotency key -> delivery time (ms)
+        this.nextId = 1;
+
+        this.failed = new Map();    // id -> pending entry plus { failedAt }, oldest first
+        this.handlers = new Map();  // kind -> { deliver, minInterval, retryDelayMin, retryDelayMax, maxAttempts, lastAttemptAt, retryAt, consecutiveFailures, failingIds }
+        this.timer = null;
+        this.dispatching = false;
+
+        this.stats = {
+            added: 0,
+            duplicates: 0,
+            delivered: 0,
+            failedAttempts: 0,
+            givenUp: 0
+        };
+        this.load();
+    }
+
+    load() {
+        const doneKeys = new Map();
+        for (const record of this.log.load()) {
+            switch (record.op) {
+                case 'put':
+                    this.pending.set(record.id, {
+                        id: record.id,
+                        key: record.k,
+                        kind: record.kind,
+                        body: record.body,
+                        priority: record.p || 0,
+                        createdAt: record.at,
+                        attempts: record.n || 0,
+                        nextAttemptAt: record.next || 0,
+                        lastError: record.e || null
+                    });
+                    this.nextId = Math.max(this.nextId, record.id + 1);
+                    break;
+                case 'fail': {
+                    const entry = this.pending.get(record.id);
+                    if (entry) {
+                        entry.attempts = record.n;
+                        entry.nextAttemptAt = record.next;
+                        entry.lastError = record.e;
+                    }
+                    break;
+                }
+                case 'done': {
+                    const entry = this.pending.get(record.id);
+                    if (entry) {
+                        doneKeys.set(entry.key, record.at);
+                        this.pending.delete(record.id);
+                    }
+                    break;
+                }
+                case 'delivered':
+                    doneKeys.set(record.k, record.at);
+                    break;
+                case 'dead': {
+                    const entry = this.pending.get(record.id);
+                    if (entry) {
+                        this.pending.delete(record.id);
+                        this.failed.set(record.id, { ...entry, attempts: record.n ?? entry.attempts, lastError: record.e, failedAt: record.at });
+                    }
+                    break;
+                }
+                case 'drop':
+                    this.pending.delete(record.id);
+                    this.failed.delete(record.id);
+                    break;
+            }
+        }
+
+        for (const entry of this.pending.values()) {
+            this.keys.set(entry.key, entry.id);
+        }
+        this.delivered = doneKeys;
+        this.pruneDelivered();
+        this.compactIfNeeded();
+    }
+
+    // Write a message to the outbox. Returns false if its key is already
+    // pending or was delivered recently. options: { priority }
+    add(kind, key, body, { priority = 0 } = {}) {
+        this.pruneDelivered();
+        if (this.keys.has(key) || this.delivered.has(key)) {
+            this.stats.duplicates++;
+            return false;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            key,
+            kind,
+            body,
+            priority,
+            createdAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null
+        };
+        const record = { op: 'put', id: entry.id, k: key, kind, body, at: entry.createdAt };
+        if (priority) {
+            record.p = priority;
+        }
+        this.log.append(record);
+        this.pending.set(entry.id, entry);
+        this.keys.set(key, entry.id);
+        this.stats.added++;
+
+        this.dispatchSoon();
+        return true;
+    }
+
+    // deliver(body, key) resolves once the receiver has accepted the message
+    // and throws otherwise, with the HTTP status as error.statusCode if there
+    // was a response. options: { minInterval, retryDelayMin, retryDelayMax (ms), maxAttempts }
+    register(kind, deliver, {
+        minInterval = 0,
+        retryDelayMin = CONFIG.RETRY_DELAY_MIN,
+        retryDelayMax = CONFIG.RETRY_DELAY_MAX,
+        maxAttempts = CONFIG.MAX_ATTEMPTS
+    } = {}) {
+        this.handlers.set(kind, {
+            deliver,
+            minInterval,
+            retryDelayMin,
+            retryDelayMax,
+            maxAttempts,
+            lastAttemptAt: 0,
+            retryAt: 0,
+            consecutiveFailures: 0,
+            failingIds: new Set()   // Messages that failed since the last success
+        });
+        if (!this.timer) {
+            this.timer = setInterval(() => this.dispatch(), CONFIG.POLL_INTERVAL);
+        }
+        this.dispatchSoon();
+    }
+
+    // Messages of this kind wait in the outbox until it is registered again
+    unregister(kind) {
+        this.handlers.delete(kind);
+        if (this.handlers.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    dispatchSoon() {
+        if (this.handlers.size > 0) {
+            setImmediate(() => this.dispatch());
+        }
+    }
+
+    async dispatch() {
+        if (this.dispatching) {
+            return;
+        }
+        this.dispatching = true;
+        try {
+            let entry;
+            while ((entry = this.nextDue())) {
+                await this.deliver(entry);
+            }
+        } catch (err) {
+            console.error(`[OUTBOX] Dispatcher error: ${err.message}`);
+        } finally {
+            this.dispatching = false;
+        }
+    }
+
+    // Highest-priority, then oldest, message that is due and whose kind is
+    // registered and not paused for an outage
+    nextDue(now = Date.now()) {
+        let next = null;
+        for (const entry of this.pending.values()) {
+            const handler = this.handlers.get(entry.kind);
+            if (!handler || entry.nextAttemptAt > now || handler.retryAt > now) {
+                continue;
+            }
+            if (now - handler.lastAttemptAt < handler.minInterval) {
+                continue;
+            }
+            if (!next || entry.priority > next.priority) {
+                next = entry;
+            }
+        }
+        return next;
+    }
+
+    async deliver(entry) {
+        const handler = this.handlers.get(entry.kind);
+        handler.lastAttemptAt = Date.now();
+
+        try {
+            await handler.deliver(entry.body, entry.key);
+        } catch (err) {
+            this.recordFailure(entry, handler, err);
+            return;
+        }
+
+        resetFailures(handler);
+        const now = Date.now();
+        this.log.append({ op: 'done', id: entry.id, at: now });
+        this.pending.delete(entry.id);
+        this.keys.delete(entry.key);
+        this.delivered.set(entry.key, now);
+        this.stats.delivered++;
+        this.compactIfNeeded();
+    }
+
+    recordFailure(entry, handler, err) {
+        const now = Date.now();
+        const permanent = isPermanentFailure(err);
+        entry.attempts++;
+        entry.lastError = err.message;
+        this.stats.failedAttempts++;
+
+        // A 4xx answer means the receiver is up; anything else may be an
+        // outage, once several different messages have failed in a row
+        if (permanent) {
+            resetFailures(handler);
+        } else {
+            handler.consecutiveFailures++;
+            handler.failingIds.add(entry.id);
+        }
+        if (handler.failingIds.size >= CONFIG.OUTAGE_FAILURES) {
+            const pause = backoffDelay(handler, handler.consecutiveFailures - CONFIG.OUTAGE_FAILURES + 1);
+            handler.retryAt = now + pause;
+            console.error(`[OUTBOX] ⏸️ ${handler.consecutiveFailures} ${entry.kind} deliveries failed in a row, pausing them for ${Math.round(pause / 1000)}s`);
+        }
+
+        if (permanent || entry.attempts >= handler.maxAttempts) {
+            this.giveUp(entry, now);
+            console.error(`[OUTBOX] ❌ Gave up on ${entry.kind} ${entry.key} after ${entry.attempts} attempt(s)` +
+                `${permanent ? ' (rejected by the receiver)' : ''}: ${err.message}`);
+            return;
+        }
+
+        const backoff = backoffDelay(handler, entry.attempts);
+        entry.nextAttemptAt = now + backoff;
+        this.log.append({ op: 'fail', id: entry.id, n: entry.attempts, next: entry.nextAttemptAt, e: err.message });
+        console.error(`[OUTBOX] ⏳ ${entry.kind} ${entry.key} failed (attempt ${entry.attempts}), retrying in ${Math.round(backoff / 1000)}s: ${err.message}`);
+    }
+
+    // Move a message to the failed list. Its key is released, so the same
+    // call can be added again.
+    giveUp(entry, now) {
+        this.log.append({ op: 'dead', id: entry.id, n: entry.attempts, at: now, e: entry.lastError });
+        this.pending.delete(entry.id);
+        this.keys.delete(entry.key);
+        this.failed.set(entry.id, { ...entry, failedAt: now });
+        this.stats.givenUp++;
+
+        for (const id of this.failed.keys()) {
+            if (this.failed.size <= CONFIG.MAX_FAILED) {
+                break;
+            }
+            this.failed.delete(id);
+            this.log.append({ op: 'drop', id });
+        }
+    }
+
+    // Put failed messages back in line with a fresh attempt count: the ones
+    // with the given idempotency keys, or all of them. Returns the keys that
+    // were requeued (a key pending again in the meantime stays as it is).
+    retryFailed(keys = null) {
+        const wanted = keys ? new Set(keys) : null;
+        const retried = [];
+        for (const entry of [...this.failed.values()]) {
+            if (wanted && !wanted.has(entry.key)) {
+                continue;
+            }
+            this.failed.delete(entry.id);
+            this.log.append({ op: 'drop', id: entry.id });
+            if (this.add(entry.kind, entry.key, entry.body, { priority: entry.priority })) {
+                retried.push(entry.key);
+            }
+        }
+        return retried;
+    }
+
+    pruneDelivered() {
+        const cutoff = Date.now() - CONFIG.DELIVERED_RETENTION;
+        for (const [key, at] of this.delivered) {
+            if (at < cutoff) {
+                this.delivered.delete(key);
+            }
+        }
+    }
+
+    compactIfNeeded() {
+        const liveRecords = this.pending.size + this.delivered.size + this.failed.size * 2;
+        if (this.log.lineCount < CONFIG.COMPACT_MIN_RECORDS) {
+            return;
+        }
+        if (this.log.lineCount < liveRecords * CONFIG.COMPACT_RATIO) {
+            return;
+        }
+
+        this.pruneDelivered();
+        const put = entry => ({
+            op: 'put',
+            id: entry.id,
+            k: entry.key,
+            kind: entry.kind,
+            body: entry.body,
+            p: entry.priority || undefined,
+            at: entry.createdAt,
+            n: entry.attempts,
+            next: entry.nextAttemptAt,
+            e: entry.lastError
+        });
+        const records = [
+            ...[...this.delivered].map(([k, at]) => ({ op: 'delivered', k, at })),
+            ...[...this.pending.values()].map(put),
+            ...[...this.failed.values()].flatMap(entry => [
+                put(entry),
+                { op: 'dead', id: entry.id, n: entry.attempts, at: entry.failedAt, e: entry.lastError }
+            ])
+        ];
+        this.log.rewrite(records);
+        console.log(`[STORE] Compacted outbox to ${this.pending.size} pending messages`);
+    }
+
+    // Pending messages, optionally of one kind
+    depth(kind = null) {
+        if (!kind) {
+            return this.pending.size;
+        }
+        let count = 0;
+        for (const entry of this.pending.values()) {
+            if (entry.kind === kind) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    getStats() {
+        const now = Date.now();
+        const byKind = {};
+        let oldest = null;
+
+        for (const entry of this.pending.values()) {
+            const kind = byKind[entry.kind] = byKind[entry.kind] || { depth: 0, oldestPendingAgeSeconds: null, failing: 0, lastError: null };
+            const age = Math.round((now - entry.createdAt) / 1000);
+            kind.depth++;
+            kind.oldestPendingAgeSeconds = Math.max(kind.oldestPendingAgeSeconds ?? 0, age);
+            if (entry.attempts > 0) {
+                kind.failing++;
+                kind.lastError = entry.lastError;
+            }
+            oldest = Math.max(oldest ?? 0, age);
+        }
+
+        for (const entry of this.failed.values()) {
+            const kind = byKind[entry.kind] = byKind[entry.kind] || { depth: 0, oldestPendingAgeSeconds: null, failing: 0, lastError: null };
+            kind.failed = (kind.failed || 0) + 1;
+        }
+
+        for (const [kind, handler] of this.handlers) {
+            if (byKind[kind] && handler.retryAt > now) {
+                byKind[kind].retryingAt = new Date(handler.retryAt).toISOString();
+            }
+        }
+
+        return {
+            depth: this.pending.size,
+            oldestPendingAgeSeconds: oldest,
+            failed: this.failed.size,
+            recentFailures: [...this.failed.values()].slice(-CONFIG.RECENT_FAILURES).reverse().map(entry => ({
+                kind: entry.kind,
+                key: entry.key,
+                attempts: entry.attempts,
+                error: entry.lastError,
+                failedAt: new Date(entry.failedAt).toISOString()
+            })),
+            byKind,
+            ...this.stats
+        };
+    }
+
+    close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.log.close();
+    }
+}
+
+// Helper functions
+
+// Exponential delay for the n-th failure (n >= 1), within the handler's bounds
+function backoffDelay(handler, n) {
+    return Math.min(handler.retryDelayMin * Math.pow(2, n - 1), handler.retryDelayMax);
+}
+
+function resetFailures(handler) {
+    handler.consecutiveFailures = 0;
+    handler.failingIds.clear();
+}
+
+// Rejected by the receiver in a way a retry won't fix: a 4xx other than
+// 401 (our key may be fixed) and 429 (throttled)
+function isPermanentFailure(err) {
+    const status = err.statusCode;
+    return status >= 400 && status < 500 && status !== 401 && status !== 429;
+}
+
+// One outbox per data directory, shared by all workers
+const openOutboxes = new Map();
+
+function openOutbox(dir = CONFIG.DATA_DIR) {
+    const key = path.resolve(dir);
+    if (!openOutboxes.has(key)) {
+        openOutboxes.set(key, new Outbox(dir));
+    }
+    return openOutboxes.get(key);
+}
+
+module.exports = {
+    Outbox,
+    openOutbox
+};
@@ -0,0 +1,71 @@
+// lib/priority-lanes.js - Named priority lanes for ingested Steam IDs
+
+// Configuration
+const CONFIG = {
+    // Lane name -> priority; higher lanes are served first at every stage
+    LANES: {
+        high: 10,
+        normal: 0,
+        low: -10
+    },
+    LOWER_LANE_SHARE: 10 // At least 1 in 10 claims goes to a lower lane while one waits
+};
+
+// Helper functions
+
+// priority_lanes section of config.json:
+//   lanes             { name: priority } (replaces the built-in lanes)
+//   lower_lane_share  n: a lower lane gets at least one of every n claims
+//                     while it has IDs waiting; 0 serves the top lane only
+function loadPrioritySettings(userConfig) {
+    const settings = userConfig.priority_lanes || {};
+    const lanes = settings.lanes || CONFIG.LANES;
+
+    for (const [name, priority] of Object.entries(lanes)) {
+        if (!Number.isInteger(priority)) {
+            throw new Error(`Priority lane "${name}" must have an integer priority`);
+        }
+    }
+
+    const lowerLaneShare = settings.lower_lane_share ?? CONFIG.LOWER_LANE_SHARE;
+    if (!Number.isInteger(lowerLaneShare) || lowerLaneShare < 0 || lowerLaneShare === 1) {
+        throw new Error('priority_lanes.lower_lane_share must be 0 or an integer of at least 2');
+    }
+
+    return { lanes, lowerLaneShare };
+}
+
+// A lane name or an integer priority (e.g. the X-Priority header) as
+// { priority, lane }, or { error } if it is neither
+function resolvePriority(value, lanes) {
+    const input = String(value).trim();
+    if (Object.prototype.hasOwnProperty.call(lanes, input)) {
+        return { priority: lanes[input], lane: input };
+    }
+    if (/^[-+]?\d+$/.test(input)) {
+        const priority = Number(input);
+        const lane = Object.keys(lanes).find(name => lanes[name] === priority) || null;
+        return { priority, lane };
+    }
+    return { error: `Unknown priority "${input}". Use an integer or one of: ${Object.keys(lanes).join(', ')}` };
+}
+
+function priorityOf(item) {
+    return item.meta?.priority || 0;
+}
+
+// The lane fields of an item's meta, to copy onto the item for the next
+// stage; nothing for the default priority so those records stay small
+function laneMeta(meta) {
+    if (!meta?.priority) {
+        return {};
+    }
+    return meta.lane ? { priority: meta.priority, lane: meta.lane } : { priority: meta.priority };
+}
+
+module.exports = {
+    loadPrioritySettings,
+    resolvePriority,
+    priorityOf,
+    laneMeta
+};
@@ -0,0 +1,131 @@
+// lib/profile-store.js - Persistent store of fetched GC profiles and their verdicts
+const path = require('path');
+const AppendLog = require('./append-log');
+
+// Configuration
+const CONFIG = {
+    DATA_DIR: path.join(__dirname, '../data'),
+    FILE_NAME: 'profiles.log',
+    COMPACT_MIN_RECORDS: 10000,
+    COMPACT_RATIO: 2
+};
+
+// Latest profile result per SteamID64, persisted as an append-only log.
+// A result looks like:
+//   { steam_id, username, verdict: 'passed' | 'rejected', filter_profile, reason,
+//     profile: { account_id, commendations, medals }, checked_at }
+class ProfileStore {
+    constructor(dir = CONFIG.DATA_DIR) {
+        this.log = new AppendLog(path.join(dir, CONFIG.FILE_NAME));
+        this.results = new Map(); // steamId -> latest result
+        this.load();
+    }
+
+    load() {
+        for (const record of this.log.load()) {
+            this.results.set(record.steam_id, record);
+        }
+        this.compactIfNeeded();
+    }
+
+    save(result) {
+        return this.saveMany([result])[0];
+    }
+
+    // Save a batch of results with a single fsync
+    saveMany(results) {
+        const records = results.map(result => ({ ...result, steam_id: String(result.steam_id) }));
+        this.log.appendMany(records);
+        for (const record of records) {
+            this.results.set(record.steam_id, record);
+        }
+        this.compactIfNeeded();
+        return records;
+    }
+
+    get(steamId) {
+        return this.results.get(String(steamId)) || null;
+    }
+
+    // Filter by username, verdict, filter profile, reason (case-insensitive
+    // substring) and a checked_at range; newest first
+    query({ username = null, verdict = null, filterProfile = null, reason = null, since = null, until = null, offset = 0, limit = 100 } = {}) {
+        const reasonNeedle = reason ? reason.toLowerCase() : null;
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const untilTime = until ? new Date(until).getTime() : null;
+
+        const matches = [];
+        for (const result of this.results.values()) {
+            const checkedAt = new Date(result.checked_at).getTime();
+
+            if (username && result.username !== username) continue;
+            if (verdict && result.verdict !== verdict) continue;
+            if (filterProfile && (result.filter_profile || 'default') !== filterProfile) continue;
+            if (reasonNeedle && !(result.reason || '').toLowerCase().includes(reasonNeedle)) continue;
+            if (sinceTime !== null && checkedAt < sinceTime) continue;
+            if (untilTime !== null && checkedAt > untilTime) continue;
+
+            matches.push(result);
+        }
+
+        matches.sort((a, b) => new Date(b.checked_at) - new Date(a.checked_at));
+
+        const reasons = {};
+        for (const result of matches) {
+            const key = result.reason || result.verdict;
+            reasons[key] = (reasons[key] || 0) + 1;
+        }
+
+        return {
+            total: matches.length,
+            reasons,
+            items: matches.slice(offset, offset + limit)
+        };
+    }
+
+    compactIfNeeded() {
+        if (this.log.lineCount < CONFIG.COMPACT_MIN_RECORDS) {
+            return;
+        }
+        if (this.log.lineCount < this.results.size * CONFIG.COMPACT_RATIO) {
+            return;
+        }
+
+        this.log.rewrite([...this.results.values()]);
+        console.log(`[STORE] Compacted profile store to ${this.results.size} records`);
+    }
+
+    size() {
+        return this.results.size;
+    }
+
+    close() {
+        this.log.close();
+    }
+}
+
+// Rebuild the GC message shape the filter rules read from a stored profile
+function toGcProfile(storedProfile) {
+    return {
+        account_id: storedProfile.account_id,
+        commendation: storedProfile.commendations || {},
+        medals: { display_items_defidx: storedProfile.medals || [] }
+    };
+}
+
+// One store per data directory, shared by the Filter Service and HTTP routes
+const openStores = new Map();
+
+function openProfileStore(dir = CONFIG.DATA_DIR) {
+    const key = path.resolve(dir);
+    if (!openStores.has(key)) {
+        openStores.set(key, new ProfileStore(dir));
+    }
+    return openStores.get(key);
+}
+
+module.exports = {
+    ProfileStore,
+    openProfileStore,
+    toGcProfile
+};
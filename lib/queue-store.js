@@ -0,0 +1,524 @@
+// lib/queue-store.js - Durable per-username Steam ID queues shared by all workers
+const fs = require('fs');
+const path = require('path');
+const AppendLog = require('./append-log');
+const { priorityOf } = require('./priority-lanes');
+
+// Configuration
+const CONFIG = {
+    DATA_DIR: path.join(__dirname, '../data'),
+    COMPACT_MIN_RECORDS: 10000, // Don't bother compacting small logs
+    COMPACT_RATIO: 2,           // Compact when the log holds 2x more records than live items
+    MAX_ERRORS: 10              // Most recent errors kept per item
+};
+
+// Pipeline stages, in order. Each replaces one of the old steam_ids*.json files.
+const QUEUES = {
+    HARVESTED: 'harvested', // steam_ids.json - raw IDs from harvesters
+    UNIQUE: 'unique',       // steam_ids_unique.json - passed the uniqueness check
+    FILTERED: 'filtered',   // steam_ids_filtered.json - passed GC filtering
+    DEAD_LETTER: 'dead_letter' // IDs that failed GC filtering too many times
+};
+
+// Ordered list of item IDs with O(1) shift and sorted re-insertion
+class IdList {
+    constructor() {
+        this.ids = [];
+        this.head = 0;
+    }
+
+    get length() {
+        return this.ids.length - this.head;
+    }
+
+    push(id) {
+        this.ids.push(id);
+    }
+
+    peek() {
+        return this.length > 0 ? this.ids[this.head] : undefined;
+    }
+
+    shift() {
+        if (this.length === 0) {
+            return undefined;
+        }
+
+        const id = this.ids[this.head++];
+        if (this.head > 1024 && this.head * 2 > this.ids.length) {
+            this.ids = this.ids.slice(this.head);
+            this.head = 0;
+        }
+        return id;
+    }
+
+    // Put an ID back at its original position (IDs grow monotonically)
+    insertSorted(id) {
+        let low = this.head;
+        let high = this.ids.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.ids[mid] < id) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        this.ids.splice(low, 0, id);
+    }
+
+    toArray() {
+        return this.ids.slice(this.head);
+    }
+}
+
+// A queue of { username, steamId } items persisted in an append-only log.
+//
+//   enqueue -> item is durable and ready
+//   claim   -> item is handed to one worker (in memory only)
+//   ack     -> item is durably removed
+//   nack    -> failed attempt: error recorded, attempts + 1, item moves to
+//              the back of its user's line so it can't block the rest
+//   release -> item goes back to its place in line without counting an attempt
+//
+// Each username has one line per priority lane (meta.priority, see
+// lib/priority-lanes.js); claims take from the highest lane first.
+//
+// Claims are not persisted: after a crash every unacknowledged item is ready
+// again, so delivery is at-least-once and nothing is lost mid-write.
+class QueueStore {
+    constructor(name, dir = CONFIG.DATA_DIR) {
+        this.name = name;
+        this.log = new AppendLog(path.join(dir, `${name}.log`));
+        this.items = new Map();    // id -> item
+        this.ready = new Map();    // priority -> Map of username -> IdList of ready item IDs
+        this.keys = new Map();     // `${username}:${steamId}` -> id
+        this.nextId = 1;
+        this.load();
+    }
+
+    static key(username, steamId) {
+        return `${username}:${steamId}`;
+    }
+
+    load() {
+        for (const record of this.log.load()) {
+            switch (record.op) {
+                case 'put':
+                    this.items.set(record.id, {
+                        id: record.id,
+                        username: record.u,
+                        steamId: record.s,
+                        enqueuedAt: record.at,
+                        attempts: record.n || 0,
+                        errors: record.e || [],
+                        meta: record.m || null,
+                        claimed: false
+                    });
+                    this.nextId = Math.max(this.nextId, record.id + 1);
+                    break;
+                case 'nack': {
+                    const item = this.items.get(record.id);
+                    if (item) {
+                        this.applyNack(item, record.to || item.id, record.e, record.t);
+                        this.nextId = Math.max(this.nextId, item.id + 1);
+                    }
+                    break;
+                }
+                case 'ack':
+                    this.items.delete(record.id);
+                    break;
+            }
+        }
+
+        const ordered = [...this.items.values()].sort((a, b) => a.id - b.id);
+        for (const item of ordered) {
+            this.keys.set(QueueStore.key(item.username, item.steamId), item.id);
+            this.readyList(item).push(item.id);
+        }
+
+        this.compactIfNeeded();
+    }
+
+    // The line `item` waits in: its username's, in its priority lane
+    readyList(item) {
+        const priority = priorityOf(item);
+        let lane = this.ready.get(priority);
+        if (!lane) {
+            lane = new Map();
+            this.ready.set(priority, lane);
+        }
+        let list = lane.get(item.username);
+        if (!list) {
+            list = new IdList();
+            lane.set(item.username, list);
+        }
+        return list;
+    }
+
+    toRecord(item) {
+        const record = { op: 'put', id: item.id, u: item.username, s: item.steamId, at: item.enqueuedAt };
+        if (item.attempts) {
+            record.n = item.attempts;
+        }
+        if (item.errors.length > 0) {
+            record.e = item.errors;
+        }
+        if (item.meta) {
+            record.m = item.meta;
+        }
+        return record;
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    has(username, steamId) {
+        return this.keys.has(QueueStore.key(username, String(steamId)));
+    }
+
+    enqueue(username, steamId, meta = null) {
+        return this.enqueueMany([{ username, steamId, meta }])[0];
+    }
+
+    // Enqueue a batch with a single fsync. Returns one boolean per entry:
+    // true if added, false if that username already had the ID queued.
+    enqueueMany(entries) {
+        const results = [];
+        const records = [];
+        const added = [];
+
+        for (const { username, steamId, meta = null } of entries) {
+            const steamIdStr = String(steamId);
+            const key = QueueStore.key(username, steamIdStr);
+
+            if (this.keys.has(key)) {
+                results.push(false);
+                continue;
+            }
+
+            const item = {
+                id: this.nextId++,
+                username,
+                steamId: steamIdStr,
+                enqueuedAt: Date.now(),
+                attempts: 0,
+                errors: [],
+                meta,
+                claimed: false
+            };
+
+            this.keys.set(key, item.id);
+            records.push(this.toRecord(item));
+            added.push(item);
+            results.push(true);
+        }
+
+        this.log.appendMany(records);
+        for (const item of added) {
+            this.items.set(item.id, item);
+            this.readyList(item).push(item.id);
+        }
+
+        return results;
+    }
+
+    // Claim the oldest ready item of the lane and username the scheduler
+    // (see lib/user-scheduler.js) picks, or of the first username in the
+    // highest lane
+    claim(scheduler = null) {
+        const lanes = this.readyLanes();
+        if (lanes.size === 0) {
+            return null;
+        }
+
+        const priority = scheduler ? scheduler.pickLane(lanes) : lanes.keys().next().value;
+        const candidates = lanes.get(priority);
+        const username = scheduler ? scheduler.pick(candidates) : candidates.keys().next().value;
+        const item = this.takeNext(priority, username);
+        if (scheduler) {
+            scheduler.served(item);
+        }
+        return item;
+    }
+
+    claimBatch(limit = Infinity, scheduler = null) {
+        const claimed = [];
+        while (claimed.length < limit) {
+            const item = this.claim(scheduler);
+            if (!item) {
+                break;
+            }
+            claimed.push(item);
+        }
+        return claimed;
+    }
+
+    // The next ready item in a line, or null (and the line is dropped) if
+    // it has none
+    readyHead(lane, username) {
+        const list = lane.get(username);
+        while (list.length > 0) {
+            const item = this.items.get(list.peek());
+            // Items acked while still waiting leave a stale ID behind
+            if (item && !item.claimed) {
+                return item;
+            }
+            list.shift();
+        }
+        lane.delete(username);
+        return null;
+    }
+
+    // priority -> (username -> next ready item) for every lane and username
+    // with one, highest priority first
+    readyLanes() {
+        const lanes = new Map();
+        const priorities = [...this.ready.keys()].sort((a, b) => b - a);
+        for (const priority of priorities) {
+            const lane = this.ready.get(priority);
+            const heads = new Map();
+            for (const username of [...lane.keys()]) {
+                const item = this.readyHead(lane, username);
+                if (item) {
+                    heads.set(username, item);
+                }
+            }
+            if (heads.size > 0) {
+                lanes.set(priority, heads);
+            } else {
+                this.ready.delete(priority);
+            }
+        }
+        return lanes;
+    }
+
+    // Highest priority with a ready item, or null if nothing is ready
+    topPriority() {
+        const lanes = this.readyLanes();
+        return lanes.size > 0 ? lanes.keys().next().value : null;
+    }
+
+    takeNext(priority, username) {
+        const lane = this.ready.get(priority);
+        const list = lane.get(username);
+        const item = this.items.get(list.shift());
+        if (list.length === 0) {
+            lane.delete(username);
+        }
+        if (lane.size === 0) {
+            this.ready.delete(priority);
+        }
+        item.claimed = true;
+        return item;
+    }
+
+    ack(id) {
+        this.ackMany([id]);
+    }
+
+    ackMany(ids) {
+        const records = [];
+        for (const id of ids) {
+            const item = this.items.get(id);
+            if (!item) {
+                continue;
+            }
+
+            this.items.delete(id);
+            this.keys.delete(QueueStore.key(item.username, item.steamId));
+            records.push({ op: 'ack', id });
+        }
+
+        this.log.appendMany(records);
+        this.compactIfNeeded();
+    }
+
+    nack(id, error = null) {
+        const item = this.items.get(id);
+        if (!item || !item.claimed) {
+            return;
+        }
+
+        // The item gets a new, highest ID, which is what puts it at the back
+        const record = { op: 'nack', id, to: this.nextId++, t: Date.now() };
+        if (error) {
+            record.e = String(error).slice(0, 500);
+        }
+
+        this.log.append(record);
+        this.applyNack(item, record.to, record.e, record.t);
+        item.claimed = false;
+        this.readyList(item).push(item.id);
+    }
+
+    applyNack(item, newId, error, at) {
+        this.items.delete(item.id);
+        item.id = newId;
+        item.attempts++;
+        if (error) {
+            item.errors = [...item.errors, { error, at }].slice(-CONFIG.MAX_ERRORS);
+        }
+        this.items.set(newId, item);
+        this.keys.set(QueueStore.key(item.username, item.steamId), newId);
+    }
+
+    release(id) {
+        const item = this.items.get(id);
+        if (!item || !item.claimed) {
+            return;
+        }
+
+        item.claimed = false;
+        this.readyList(item).insertSorted(id);
+    }
+
+    releaseMany(ids) {
+        ids.forEach(id => this.release(id));
+    }
+
+    clear() {
+        this.items.clear();
+        this.ready.clear();
+        this.keys.clear();
+        this.log.rewrite([]);
+    }
+
+    compactIfNeeded() {
+        if (this.log.lineCount < CONFIG.COMPACT_MIN_RECORDS) {
+            return;
+        }
+        if (this.log.lineCount < this.items.size * CONFIG.COMPACT_RATIO) {
+            return;
+        }
+
+        const ordered = [...this.items.values()].sort((a, b) => a.id - b.id);
+        this.log.rewrite(ordered.map(item => this.toRecord(item)));
+        console.log(`[STORE] Compacted ${this.name} queue to ${ordered.length} records`);
+    }
+
+    size() {
+        return this.items.size;
+    }
+
+    stats() {
+        let claimed = 0;
+        const users = new Set();
+        for (const item of this.items.values()) {
+            if (item.claimed) {
+                claimed++;
+            }
+            users.add(item.username);
+        }
+
+        return {
+            total: this.items.size,
+            ready: this.items.size - claimed,
+            claimed,
+            users: users.size
+        };
+    }
+
+    // Per username: queued items (claimed ones included) and how long the
+    // oldest of them has waited
+    userStats() {
+        const now = Date.now();
+        const users = {};
+        for (const item of this.items.values()) {
+            const user = users[item.username] = users[item.username] || { depth: 0, claimed: 0, oldestWaitSeconds: 0 };
+            user.depth++;
+            if (item.claimed) {
+                user.claimed++;
+            }
+            user.oldestWaitSeconds = Math.max(user.oldestWaitSeconds, Math.round((now - item.enqueuedAt) / 1000));
+        }
+        return users;
+    }
+
+    // Per priority lane: queued items and how long the oldest has waited
+    laneStats() {
+        const now = Date.now();
+        const lanes = {};
+        for (const item of this.items.values()) {
+            const priority = priorityOf(item);
+            const lane = lanes[priority] = lanes[priority] || { lane: null, depth: 0, oldestWaitSeconds: 0 };
+            lane.lane = lane.lane || item.meta?.lane || null;
+            lane.depth++;
+            lane.oldestWaitSeconds = Math.max(lane.oldestWaitSeconds, Math.round((now - item.enqueuedAt) / 1000));
+        }
+        return lanes;
+    }
+
+    // Queued items in order, optionally for one username
+    list({ username = null, offset = 0, limit = 100 } = {}) {
+        const ordered = [...this.items.values()]
+            .filter(item => !username || item.username === username)
+            .sort((a, b) => a.id - b.id);
+
+        return {
+            total: ordered.length,
+            items: ordered.slice(offset, offset + limit)
+        };
+    }
+
+    findBySteamId(steamId) {
+        return [...this.items.values()].filter(item => item.steamId === String(steamId));
+    }
+
+    // { username: [steamIds] } view of every queued item, in queue order
+    snapshot() {
+        const data = {};
+        const ordered = [...this.items.values()].sort((a, b) => a.id - b.id);
+        for (const item of ordered) {
+            (data[item.username] = data[item.username] || []).push(item.steamId);
+        }
+        return data;
+    }
+
+    // Import a legacy { username: [steamIds] } JSON file once, then move it aside
+    migrateJsonFile(jsonPath) {
+        if (!fs.existsSync(jsonPath)) {
+            return 0;
+        }
+
+        let data = {};
+        const content = fs.readFileSync(jsonPath, 'utf8').trim();
+        if (content) {
+            data = JSON.parse(content);
+        }
+
+        const entries = [];
+        for (const [username, steamIds] of Object.entries(data)) {
+            for (const steamId of steamIds || []) {
+                entries.push({ username, steamId: String(steamId) });
+            }
+        }
+
+        const added = this.enqueueMany(entries).filter(Boolean).length;
+        fs.renameSync(jsonPath, `${jsonPath}.migrated`);
+        console.log(`[STORE] Migrated ${added} Steam IDs from ${path.basename(jsonPath)} into ${this.name} queue`);
+        return added;
+    }
+
+    close() {
+        this.log.close();
+    }
+}
+
+// One store instance per queue file, shared by the HTTP routes and workers
+const openQueues = new Map();
+
+function openQueue(name, dir = CONFIG.DATA_DIR) {
+    const key = path.resolve(dir, name);
+    if (!openQueues.has(key)) {
+        openQueues.set(key, new QueueStore(name, dir));
+    }
+    return openQueues.get(key);
+}
+
+module.exports = {
+    QUEUES,
+    QueueStore,
+    openQueue
+};
@@ -0,0 +1,172 @@
+// lib/reevaluate.js - Re-run the filter rules over stored GC profiles
+const { toGcProfile } = require('./profile-store');
+
+// Configuration
+const CONFIG = {
+    CHUNK_SIZE: 500,    // Profiles saved with one fsync before yielding
+    SAMPLE_SIZE: 100    // Steam IDs listed per kind of change in the report
+};
+
+// The filter profile a stored result is re-checked with: the one that
+// produced it if it still exists, else whatever its username resolves to
+function resolveFilterProfile(filterProfiles, record) {
+    const name = record.filter_profile || 'default';
+    if (filterProfiles.get(name)) {
+        return { name, ruleSet: filterProfiles.get(name) };
+    }
+    return filterProfiles.resolve({ username: record.username });
+}
+
+// Backfill after a rule change, without contacting the GC. Every stored
+// profile not yet checked with the current version of its filter profile's
+// rules (or every one, with `all`) is evaluated again and saved with the new
+// verdict and rule_version; checked_at still says when it was fetched.
+// IDs that now pass are added to the submit queue for their username. IDs
+// that now fail are taken out of the submit queue if they are still waiting
+// there; ones already submitted are only recorded.
+//
+// Runs in chunks of CHUNK_SIZE profiles, each saved and queued with a single
+// fsync, and yields to the event loop in between so the running service keeps
+// answering the GC. A profile fetched again while the job runs already has a
+// current verdict and is left alone. The report counts every change but lists
+// at most SAMPLE_SIZE Steam IDs of each kind.
+//
+// options: { filterProfile (only this profile), all, dryRun }
+async function reevaluateStoredProfiles({ profileStore, filterProfiles, submitQueue }, { filterProfile = null, all = false, dryRun = false } = {}) {
+    const report = {
+        dry_run: dryRun,
+        scanned: 0,
+        up_to_date: 0,
+        no_profile_data: 0,
+        refetched_meanwhile: 0,
+        reevaluated: 0,
+        unchanged: 0,
+        newly_passed: 0,
+        newly_rejected: 0,
+        newly_passed_ids: [],
+        newly_rejected_ids: [],
+        ids_truncated: false,
+        queued: 0,
+        already_queued: 0,
+        withdrawn: 0,
+        no_username: 0,
+        rule_versions: Object.fromEntries(filterProfiles.names().map(name => [name, filterProfiles.get(name).version]))
+    };
+
+    // Snapshot first: saving a result updates the store being iterated
+    const records = profileStore.query({ filterProfile, limit: Infinity }).items;
+
+    for (let start = 0; start < records.length; start += CONFIG.CHUNK_SIZE) {
+        if (start > 0) {
+            await yieldToEventLoop();
+        }
+        reevaluateChunk(records.slice(start, start + CONFIG.CHUNK_SIZE), { profileStore, filterProfiles, submitQueue }, { all, dryRun }, report);
+    }
+
+    return report;
+}
+
+function reevaluateChunk(records, { profileStore, filterProfiles, submitQueue }, { all, dryRun }, report) {
+    const now = new Date().toISOString();
+    const updates = [];
+    const toQueue = [];
+    const withdrawals = [];
+
+    for (const record of records) {
+        report.scanned++;
+
+        if (!record.profile?.account_id) {
+            report.no_profile_data++;
+            continue;
+        }
+
+        if (profileStore.get(record.steam_id) !== record) {
+            report.refetched_meanwhile++;
+            continue;
+        }
+
+        const resolved = resolveFilterProfile(filterProfiles, record);
+        if (!all && record.filter_profile === resolved.name && record.rule_version === resolved.ruleSet.version) {
+            report.up_to_date++;
+            continue;
+        }
+
+        const evaluation = resolved.ruleSet.evaluate(toGcProfile(record.profile));
+        const verdict = evaluation.passed ? 'passed' : 'rejected';
+        report.reevaluated++;
+
+        if (verdict === record.verdict) {
+            report.unchanged++;
+        } else if (verdict === 'passed') {
+            report.newly_passed++;
+            addSample(report, report.newly_passed_ids, record.steam_id);
+        } else {
+            report.newly_rejected++;
+            addSample(report, report.newly_rejected_ids, record.steam_id);
+        }
+
+        if (dryRun) {
+            continue;
+        }
+
+        updates.push({
+            ...record,
+            verdict,
+            filter_profile: resolved.name,
+            rule_version: resolved.ruleSet.version,
+            reason: evaluation.reason,
+            detail: evaluation.detail,
+            reevaluated_at: now
+        });
+
+        if (verdict === 'passed' && record.verdict !== 'passed') {
+            if (!record.username) {
+                report.no_username++; // On-demand lookups belong to no harvester
+            } else {
+                toQueue.push({ username: record.username, steamId: record.steam_id, meta: { filter_profile: resolved.name, source: 'reevaluation' } });
+            }
+        } else if (verdict === 'rejected' && record.verdict === 'passed') {
+            withdrawals.push(...submitQueue.findBySteamId(record.steam_id)
+                .filter(item => item.username === record.username && !item.claimed)
+                .map(item => item.id));
+        }
+    }
+
+    if (updates.length > 0) {
+        profileStore.saveMany(updates);
+    }
+    if (toQueue.length > 0) {
+        const added = submitQueue.enqueueMany(toQueue).filter(Boolean).length;
+        report.queued += added;
+        report.already_queued += toQueue.length - added;
+    }
+    if (withdrawals.length > 0) {
+        submitQueue.ackMany(withdrawals);
+        report.withdrawn += withdrawals.length;
+    }
+}
+
+function addSample(report, list, steamId) {
+    if (list.length < CONFIG.SAMPLE_SIZE) {
+        list.push(steamId);
+    } else {
+        report.ids_truncated = true;
+    }
+}
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// One-line summary for logs and the CLI
+function summarizeReevaluation(report) {
+    const prefix = report.dry_run ? 'Dry run: ' : '';
+    return `${prefix}${report.reevaluated} of ${report.scanned} stored profiles re-evaluated, ` +
+        `${report.newly_passed} newly passed (${report.queued} queued for submission), ` +
+        `${report.newly_rejected} newly rejected, ${report.up_to_date} already up to date`;
+}
+
+module.exports = {
+    reevaluateStoredProfiles,
+    summarizeReevaluation
+};
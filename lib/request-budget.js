@@ -0,0 +1,117 @@
+// lib/request-budget.js - Persistent daily and hourly GC request budget for one account
+const path = require('path');
+const AppendLog = require('./append-log');
+const { localTime } = require('./activity-schedule');
+
+// Configuration
+const CONFIG = {
+    DATA_DIR: path.join(__dirname, '../data'),
+    COMPACT_RATIO: 2,
+    HOUR: 60 * 60 * 1000
+};
+
+// Every request is appended to a log ({ t: timestamp }) before it is made, so
+// the counts survive restarts and a crash can only over-count. Days and hours
+// are counted in the schedule's timezone. A limit of 0 means unlimited.
+class RequestBudget {
+    constructor(username, { daily = 0, hourly = 0, timezone = 'UTC' } = {}, dir = CONFIG.DATA_DIR) {
+        this.daily = daily;
+        this.hourly = hourly;
+        this.timeZone = timezone;
+        this.log = new AppendLog(path.join(dir, `gc_budget_${username}.log`));
+        this.requests = []; // Timestamps of today's requests, oldest first
+        this.hour = null;   // { start, end } of the current local hour
+        this.load();
+    }
+
+    load() {
+        const today = localTime(new Date(), this.timeZone).date;
+        this.requests = this.log.load()
+            .map(record => record.t)
+            .filter(time => localTime(new Date(time), this.timeZone).date === today);
+        this.log.rewrite(this.requests.map(t => ({ t })));
+    }
+
+    isEnabled() {
+        return this.daily > 0 || this.hourly > 0;
+    }
+
+    // Drop requests from previous days
+    roll(now) {
+        const today = localTime(now, this.timeZone).date;
+        if (this.requests.length === 0 || localTime(new Date(this.requests[0]), this.timeZone).date === today) {
+            return;
+        }
+
+        this.requests = this.requests.filter(time => localTime(new Date(time), this.timeZone).date === today);
+        if (this.log.lineCount > this.requests.length * CONFIG.COMPACT_RATIO) {
+            this.log.rewrite(this.requests.map(t => ({ t })));
+        }
+    }
+
+    // The local hour `now` falls in, as timestamps. It is checked before
+    // every GC request, so it is only worked out again once the hour is
+    // over, which is also the only time the day can have changed. Timezone
+    // offsets are whole minutes, so the hour started `minutes % 60` local
+    // minutes and the UTC seconds ago.
+    currentHour(now) {
+        const time = now.getTime();
+        if (!this.hour || time < this.hour.start || time >= this.hour.end) {
+            const start = time - (localTime(now, this.timeZone).minutes % 60) * 60 * 1000 -
+                now.getUTCSeconds() * 1000 - now.getUTCMilliseconds();
+            this.hour = { start, end: start + CONFIG.HOUR };
+            this.roll(now);
+        }
+        return this.hour;
+    }
+
+    counts(now = new Date()) {
+        const { start } = this.currentHour(now);
+
+        let thisHour = 0;
+        for (let i = this.requests.length - 1; i >= 0 && this.requests[i] >= start; i--) {
+            thisHour++;
+        }
+        return { today: this.requests.length, thisHour };
+    }
+
+    // Which limit is used up, or null if another request is allowed
+    exhausted(now = new Date()) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const { today, thisHour } = this.counts(now);
+        if (this.daily > 0 && today >= this.daily) {
+            return 'daily';
+        }
+        if (this.hourly > 0 && thisHour >= this.hourly) {
+            return 'hourly';
+        }
+        return null;
+    }
+
+    consume(now = new Date()) {
+        if (!this.isEnabled()) {
+            return;
+        }
+        this.currentHour(now);
+        this.log.append({ t: now.getTime() });
+        this.requests.push(now.getTime());
+    }
+
+    getStatus() {
+        const { today, thisHour } = this.counts();
+        return {
+            daily: { used: today, limit: this.daily || null },
+            hourly: { used: thisHour, limit: this.hourly || null },
+            exhausted: this.exhausted()
+        };
+    }
+
+    close() {
+        this.log.close();
+    }
+}
+
+module.exports = RequestBudget;
@@ -0,0 +1,118 @@
+// lib/seen-cache.js - Persistent set of Steam IDs the main server already knows
+const path = require('path');
+const AppendLog = require('./append-log');
+
+// Configuration
+const CONFIG = {
+    DATA_DIR: path.join(__dirname, '../data'),
+    FILE_NAME: 'seen_ids.log',
+    COMPACT_MIN_RECORDS: 10000,
+    COMPACT_RATIO: 2
+};
+
+// Exact set of SteamID64s with the time each was last seen, persisted as an
+// append-only log. Used to skip IDs that have already been through the
+// uniqueness API, marked processed or submitted, before making a network call.
+// An exact set is used rather than a Bloom filter so that a false positive can
+// never silently drop a new ID.
+class SeenCache {
+    constructor(dir = CONFIG.DATA_DIR) {
+        this.log = new AppendLog(path.join(dir, CONFIG.FILE_NAME));
+        this.seen = new Map(); // steamId -> last seen timestamp (ms)
+        this.stats = {
+            lookups: 0,
+            hits: 0,
+            misses: 0,
+            added: {}
+        };
+        this.load();
+    }
+
+    load() {
+        for (const record of this.log.load()) {
+            this.seen.set(record.s, record.t);
+        }
+        this.compactIfNeeded();
+    }
+
+    // True if the ID was seen within maxAge ms (0 = no expiry)
+    has(steamId, maxAge = 0) {
+        this.stats.lookups++;
+
+        const seenAt = this.seen.get(String(steamId));
+        const hit = seenAt !== undefined && (!maxAge || Date.now() - seenAt <= maxAge);
+
+        if (hit) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+        }
+        return hit;
+    }
+
+    add(steamId, source) {
+        this.addMany([steamId], source);
+    }
+
+    addMany(steamIds, source) {
+        const now = Date.now();
+        const records = steamIds.map(steamId => ({ s: String(steamId), t: now }));
+
+        this.log.appendMany(records);
+        for (const record of records) {
+            this.seen.set(record.s, record.t);
+        }
+        this.stats.added[source] = (this.stats.added[source] || 0) + records.length;
+
+        this.compactIfNeeded();
+    }
+
+    compactIfNeeded() {
+        if (this.log.lineCount < CONFIG.COMPACT_MIN_RECORDS) {
+            return;
+        }
+        if (this.log.lineCount < this.seen.size * CONFIG.COMPACT_RATIO) {
+            return;
+        }
+
+        const records = [...this.seen].map(([s, t]) => ({ s, t }));
+        this.log.rewrite(records);
+        console.log(`[STORE] Compacted seen-ID cache to ${records.length} records`);
+    }
+
+    clear() {
+        this.seen.clear();
+        this.log.rewrite([]);
+    }
+
+    getStats() {
+        return {
+            size: this.seen.size,
+            lookups: this.stats.lookups,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            hitRate: this.stats.lookups > 0 ? +(this.stats.hits / this.stats.lookups).toFixed(4) : 0,
+            added: { ...this.stats.added }
+        };
+    }
+
+    close() {
+        this.log.close();
+    }
+}
+
+// One cache per data directory, shared by all workers
+const openCaches = new Map();
+
+function openSeenCache(dir = CONFIG.DATA_DIR) {
+    const key = path.resolve(dir);
+    if (!openCaches.has(key)) {
+        openCaches.set(key, new SeenCache(dir));
+    }
+    return openCaches.get(key);
+}
+
+module.exports = {
+    SeenCache,
+    openSeenCache
+};
@@ -0,0 +1,118 @@
+// lib/session-store.js - Steam refresh tokens, encrypted at rest, one file per account
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+    DATA_DIR: path.join(__dirname, '../data'),
+    KEY_ENV: 'STEAM_SESSION_KEY',
+    ALGORITHM: 'aes-256-gcm',
+    KEY_SALT: 'render-steam-session',
+    EXPIRY_MARGIN: 86400000 // Stop using a token a day before it expires
+};
+
+// Helper functions
+
+// Claims of a Steam refresh token (a JWT), checked the way steam-user checks
+// them before logging on, so a bad token falls back to the password here
+// instead of failing inside steam-user. Throws if it can't be used.
+function decodeRefreshToken(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw new Error('not a JWT');
+    }
+
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (claims.iss !== 'steam') {
+        throw new Error(`issued by "${claims.iss}", not steam`);
+    }
+    if (!(claims.aud || []).includes('client')) {
+        throw new Error('not valid for the Steam client');
+    }
+    return {
+        steamId: claims.sub,
+        expiresAt: claims.exp ? claims.exp * 1000 : null
+    };
+}
+
+// Whether a token can still be used for a logon
+function isUsableRefreshToken(token, now = Date.now()) {
+    try {
+        const { expiresAt } = decodeRefreshToken(token);
+        return !expiresAt || expiresAt - CONFIG.EXPIRY_MARGIN > now;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Refresh tokens in data/session_<username>.json, encrypted with AES-256-GCM
+// under a key derived from STEAM_SESSION_KEY. Without that variable nothing
+// is written to disk. A file that can't be decrypted (e.g. the key changed)
+// is ignored.
+class SessionStore {
+    constructor(dir = CONFIG.DATA_DIR, secret = process.env[CONFIG.KEY_ENV]) {
+        this.dir = dir;
+        this.key = secret ? crypto.scryptSync(secret, CONFIG.KEY_SALT, 32) : null;
+    }
+
+    isEnabled() {
+        return this.key !== null;
+    }
+
+    filePath(username) {
+        return path.join(this.dir, `session_${username}.json`);
+    }
+
+    load(username) {
+        if (!this.isEnabled() || !fs.existsSync(this.filePath(username))) {
+            return null;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath(username), 'utf8'));
+            const decipher = crypto.createDecipheriv(CONFIG.ALGORITHM, this.key, Buffer.from(stored.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+            const plain = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+            return JSON.parse(plain.toString('utf8')).refreshToken;
+        } catch (err) {
+            console.error(`[FILTER] [${username}] ⚠️ Could not read saved Steam session (${err.message}), ignoring it`);
+            return null;
+        }
+    }
+
+    save(username, refreshToken) {
+        if (!this.isEnabled()) {
+            return false;
+        }
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CONFIG.ALGORITHM, this.key, iv);
+        const data = Buffer.concat([
+            cipher.update(JSON.stringify({ refreshToken, savedAt: new Date().toISOString() }), 'utf8'),
+            cipher.final()
+        ]);
+        const content = JSON.stringify({
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        });
+
+        // Write and rename so a crash never leaves a half-written file
+        fs.mkdirSync(this.dir, { recursive: true });
+        const tmpPath = `${this.filePath(username)}.tmp`;
+        fs.writeFileSync(tmpPath, content, { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath(username));
+        return true;
+    }
+
+    remove(username) {
+        fs.rmSync(this.filePath(username), { force: true });
+    }
+}
+
+module.exports = {
+    SessionStore,
+    decodeRefreshToken,
+    isUsableRefreshToken
+};
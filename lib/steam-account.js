@@ -0,0 +1,707 @@
+// lib/steam-account.js - One Steam account's GC session, pacing and health
+const EventEmitter = require('events');
+const fs = require('fs');
+const SteamUser = require('steam-user');
+const SteamTotp = require('steam-totp');
+const AdaptivePacer = require('./adaptive-pacer');
+const RequestBudget = require('./request-budget');
+const { ActivitySchedule } = require('./activity-schedule');
+const GcRequestManager = require('./gc-request-manager');
+const SteamGcClient = require('./gc-client');
+const { SessionStore, decodeRefreshToken, isUsableRefreshToken } = require('./session-store');
+const { STATES, ConnectionState, policyFor } = require('./connection-state');
+
+// Configuration
+const CONFIG = {
+    SCHEDULE_CHECK_INTERVAL: 60000, // Check active hours and budget every minute
+    IDLE_WAIT_INTERVAL: 1000,       // Poll for current items to finish before logging off
+    RELOGIN_DELAY: 5000             // Between logging off and logging in again
+};
+
+// Logon results that mean a saved refresh token is no good any more
+const REJECTED_TOKEN_RESULTS = [
+    SteamUser.EResult.InvalidPassword,
+    SteamUser.EResult.AccessDenied,
+    SteamUser.EResult.Expired,
+    SteamUser.EResult.Revoked
+];
+
+// Helper functions
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getRandomDelay(min, max) {
+    return min + Math.random() * (max - min);
+}
+
+function hasContent(value) {
+    if (value === null || value === undefined || value === 0 || value === false || value === '') {
+        return false;
+    }
+    if (typeof value === 'object') {
+        return Object.values(value).some(hasContent);
+    }
+    return true;
+}
+
+// The GC answers throttled accounts with empty profiles rather than errors.
+// Responses are matched to requests by account_id, so a throttled answer
+// still carries it; it is empty when nothing else in it has a value.
+function isEmptyProfile(profile) {
+    if (!profile) {
+        return true;
+    }
+    const { account_id: accountId, ...fields } = profile;
+    return !hasContent(fields);
+}
+
+// A Steam account in the Filter Service pool. Each account has its own
+// Steam client, maFile, request pacing and break schedule, and takes itself
+// out of rotation for a cooldown after too many consecutive failures.
+// Logons use the refresh token from the last session when there is one
+// (saved encrypted, see lib/session-store.js), and the password with a
+// maFile 2FA code only when there is none or Steam rejects it.
+// Outside its active hours it logs off; with its GC request budget used up it
+// stays logged in but idle.
+//
+// The connection goes disconnected -> logging-in -> logged-in ->
+// launching-game -> gc-connected (see lib/connection-state.js). Errors move
+// it to backoff and then back to logging-in (or launching-game when only the
+// GC was lost), or to fatal for results no retry can fix. Every connection
+// timer is the single connectTimer, so stopping cancels any pending retry.
+//
+// Emits 'gcReady' when connected to the Game Coordinator and ready for work.
+class SteamAccount extends EventEmitter {
+    // settings: { username, password, maFilePath }
+    // config: timing settings in ms (see CONFIG in workers/filter-service.js)
+    // client: the Steam/GC client (see lib/gc-client.js)
+    constructor(settings, config, client = new SteamGcClient()) {
+        super();
+        this.username = settings.username;
+        this.password = settings.password;
+        this.maFilePath = settings.maFilePath;
+        this.config = config;
+        this.maFile = this.loadMaFile();
+
+        // Refresh token of the current Steam session
+        this.sessionStore = new SessionStore(config.QUEUE_DIR);
+        this.refreshToken = this.sessionStore.load(this.username);
+        this.usingRefreshToken = false; // The logon in progress uses refreshToken
+        this.lastLoginMethod = null;    // 'refresh-token' | 'password'
+
+        this.client = client;
+        this.gcRequests = new GcRequestManager(this.client, {
+            concurrency: config.GC_CONCURRENCY,
+            timeout: config.REQUEST_TIMEOUT
+        });
+
+        this.running = false;
+        this.connection = new ConnectionState({
+            delayMin: config.RECONNECT_DELAY_MIN,
+            delayMax: config.RECONNECT_DELAY_MAX,
+            jitter: config.RECONNECT_JITTER
+        }, (message) => this.log(message));
+        this.connectTimer = null;    // Pending launch, GC timeout or reconnect
+        this.gcRelaunches = 0;       // CS2 relaunches since the GC last answered
+        this.activeLanes = 0;        // FilterService loops using this account (up to GC_CONCURRENCY)
+        this.currentItems = new Map(); // itemId -> queue item being processed by those loops
+        this.cooldownUntil = null;   // Out of rotation until this time (ms)
+        this.cooldownTimer = null;
+
+        // Active hours and GC request budget
+        this.schedule = new ActivitySchedule(config.ACTIVE_HOURS || {}, this.username);
+        this.budget = new RequestBudget(this.username, {
+            ...(config.REQUEST_BUDGET || {}),
+            timezone: this.schedule.timeZone
+        }, config.QUEUE_DIR);
+        this.offHours = false;
+        this.budgetExhausted = null; // 'daily' | 'hourly' once a limit is hit
+        this.scheduleTimer = null;
+
+        // Pacing
+        this.pacer = config.ADAPTIVE_PACING ? new AdaptivePacer({
+            floor: config.PACING_FLOOR ?? config.PROCESSING_DELAY_MIN,
+            ceiling: config.PACING_CEILING,
+            initial: config.PROCESSING_DELAY_MAX,
+            decreaseStep: config.PACING_DECREASE_STEP,
+            backoffFactor: config.PACING_BACKOFF_FACTOR,
+            jitter: config.PACING_JITTER
+        }) : null;
+        this.requestCount = 0;
+        this.nextBreakAfter = this.calculateNextBreakPoint();
+        this.consecutiveTimeouts = 0;
+        this.onBreakUntil = null;
+        this.breakInProgress = null; // Shared by all lanes so only one break is taken
+
+        // Health
+        this.stats = {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            timesRemoved: 0,
+            lastError: null,
+            lastErrorAt: null,
+            lastSuccessAt: null,
+            gcConnectedAt: null
+        };
+
+        this.setupEventHandlers();
+    }
+
+    get gcConnected() {
+        return this.connection.is(STATES.GC_CONNECTED);
+    }
+
+    // Why the account can't be used at all, once the connection is fatal
+    get disabledReason() {
+        return this.connection.is(STATES.FATAL) ? this.connection.reason : null;
+    }
+
+    log(message) {
+        console.log(`[FILTER] [${this.username}] ${message}`);
+    }
+
+    logError(message) {
+        console.error(`[FILTER] [${this.username}] ${message}`);
+    }
+
+    loadMaFile() {
+        try {
+            if (fs.existsSync(this.maFilePath)) {
+                return JSON.parse(fs.readFileSync(this.maFilePath, 'utf8'));
+            }
+            console.log(`[FILTER] [${this.username}] ⚠️ ${this.maFilePath} not found - 2FA codes will not be available`);
+            return null;
+        } catch (err) {
+            console.error(`[FILTER] [${this.username}] Error loading .maFile: ${err.message}`);
+            return null;
+        }
+    }
+
+    generateAuthCode() {
+        if (this.maFile?.shared_secret) {
+            try {
+                return SteamTotp.generateAuthCode(this.maFile.shared_secret);
+            } catch (err) {
+                this.logError(`Error generating auth code: ${err.message}`);
+            }
+        }
+        return null;
+    }
+
+    calculateNextBreakPoint() {
+        return this.config.REQUESTS_BEFORE_BREAK_MIN +
+               Math.floor(Math.random() * (this.config.REQUESTS_BEFORE_BREAK_MAX - this.config.REQUESTS_BEFORE_BREAK_MIN));
+    }
+
+    setupEventHandlers() {
+        this.client.on('error', (err) => {
+            this.logError(`Steam error: ${err.message}`);
+            this.clearConnectTimer();
+            this.gcRequests.cancelAll('Steam error');
+            if (this.connection.is(STATES.DISCONNECTED, STATES.FATAL)) {
+                return; // Logged off on purpose
+            }
+
+            if (this.usingRefreshToken && REJECTED_TOKEN_RESULTS.includes(err.eresult)) {
+                this.connection.recordError(err);
+                this.log('🔑 Saved Steam session was rejected, logging in with password');
+                this.discardRefreshToken();
+                this.login();
+                return;
+            }
+
+            this.handleConnectionError(err);
+        });
+
+        // The connection dropped after logging on. steam-user logs on again by
+        // itself and emits 'error' if it can't. Also emitted for our own logOff.
+        this.client.on('disconnected', (eresult, msg) => {
+            this.gcRequests.cancelAll('Disconnected from Steam');
+            if (!this.connection.is(STATES.LOGGED_IN, STATES.LAUNCHING_GAME, STATES.GC_CONNECTED)) {
+                return;
+            }
+            this.clearConnectTimer();
+            this.logError(`Disconnected from Steam: ${msg || eresult}. Logging on again...`);
+            this.connection.recordError(Object.assign(new Error(`Disconnected from Steam: ${msg || eresult}`), { eresult }));
+            this.connection.transition(STATES.LOGGING_IN, 'connection lost');
+        });
+
+        // Issued after a password logon and whenever steam-user renews it
+        this.client.on('refreshToken', (token) => this.saveRefreshToken(token));
+
+        this.client.on('loggedOn', () => {
+            if (!this.connection.transition(STATES.LOGGED_IN)) {
+                this.client.logOff();
+                return;
+            }
+            this.log('✅ Logged into Steam! Waiting before launching CS2...');
+            this.client.setOnline();
+
+            const gameDelay = getRandomDelay(this.config.LOGIN_TO_GAME_DELAY_MIN, this.config.LOGIN_TO_GAME_DELAY_MAX);
+            this.log(`⏳ Waiting ${Math.round(gameDelay/1000)} seconds before launching CS2...`);
+            this.setConnectTimer(() => this.launchGame(), gameDelay);
+        });
+
+        this.client.on('connectedToGC', () => {
+            this.clearConnectTimer();
+            if (!this.connection.transition(STATES.GC_CONNECTED)) {
+                return;
+            }
+            this.log('✅ Connected to CS2 Game Coordinator!');
+            this.gcRelaunches = 0;
+            this.consecutiveTimeouts = 0;
+            this.stats.gcConnectedAt = new Date().toISOString();
+            this.emit('gcReady', this);
+        });
+
+        // Also emitted when Steam itself disconnects, which the handlers above
+        // deal with. Otherwise the client keeps saying hello to the GC while
+        // the game runs; give it GC_CONNECT_TIMEOUT to get a session back.
+        this.client.on('disconnectedFromGC', (reason) => {
+            this.gcRequests.cancelAll('Disconnected from GC');
+            if (!this.connection.is(STATES.GC_CONNECTED)) {
+                return;
+            }
+            this.logError(`Disconnected from GC: ${reason}. Waiting for a new session...`);
+            this.connection.recordError(new Error(`Disconnected from GC: ${reason}`));
+            this.connection.transition(STATES.LAUNCHING_GAME, 'GC session lost');
+            this.setConnectTimer(() => this.handleGcFailure('Timed out reconnecting to the GC'), this.config.GC_CONNECT_TIMEOUT);
+        });
+    }
+
+    setConnectTimer(fn, ms) {
+        this.clearConnectTimer();
+        this.connectTimer = setTimeout(() => {
+            this.connectTimer = null;
+            fn();
+        }, ms);
+    }
+
+    clearConnectTimer() {
+        if (this.connectTimer) {
+            clearTimeout(this.connectTimer);
+            this.connectTimer = null;
+        }
+    }
+
+    // Whether the account should be connecting at all right now
+    canConnect() {
+        return this.running && !this.isCoolingDown() && !this.offHours && !this.connection.is(STATES.FATAL);
+    }
+
+    // Apply the policy for the error's EResult: give up, or back off and try
+    // again (relaunching CS2 only, with gcOnly)
+    handleConnectionError(err, { gcOnly = false } = {}) {
+        const policy = policyFor(err.eresult);
+        this.connection.recordError(err);
+
+        if (policy.action === 'fatal') {
+            this.fail(`Steam refused the logon: ${err.message}`);
+            return;
+        }
+        if (policy.countsAsFailure && this.recordFailure(err)) {
+            return; // Out of rotation; the cooldown timer logs in again
+        }
+
+        const wait = this.connection.backoff(policy, err.message);
+        if (wait === null) {
+            return;
+        }
+        this.log(`⏳ ${gcOnly ? 'Relaunching CS2' : 'Logging into Steam again'} in ${Math.round(wait/1000)} seconds (attempt ${this.connection.attempts})`);
+        this.setConnectTimer(() => gcOnly ? this.launchGame({ relaunch: true }) : this.relogin(), wait);
+    }
+
+    // The GC never answered: relaunch CS2, and after MAX_GC_RELAUNCHES
+    // relaunches in a row log into Steam again instead
+    handleGcFailure(message) {
+        this.gcRelaunches++;
+        const gcOnly = this.gcRelaunches <= this.config.MAX_GC_RELAUNCHES;
+        if (!gcOnly) {
+            this.gcRelaunches = 0;
+        }
+        this.logError(message);
+        this.handleConnectionError(new Error(message), { gcOnly });
+    }
+
+    // Give up until the service is restarted
+    fail(reason) {
+        this.clearConnectTimer();
+        this.gcRequests.cancelAll(reason);
+        this.logError(`⛔ ${reason} - account disabled until restart`);
+        this.connection.transition(STATES.FATAL, reason);
+        this.client.logOff();
+    }
+
+    // Log off on purpose (stop, cooldown, off-hours). Nothing reconnects
+    // until login() is called again.
+    disconnect(reason) {
+        this.clearConnectTimer();
+        this.gcRequests.cancelAll(reason);
+        if (!this.connection.is(STATES.DISCONNECTED, STATES.FATAL)) {
+            this.connection.transition(STATES.DISCONNECTED, reason);
+        }
+        this.client.logOff();
+    }
+
+    relogin() {
+        if (!this.canConnect()) {
+            return;
+        }
+        if (this.client.isLoggedOn()) {
+            this.log('🔄 Logging off before logging in again...');
+            this.client.logOff();
+            this.setConnectTimer(() => this.login(), CONFIG.RELOGIN_DELAY);
+            return;
+        }
+        this.login();
+    }
+
+    launchGame({ relaunch = false } = {}) {
+        if (!this.canConnect()) {
+            return;
+        }
+        if (!this.client.isLoggedOn()) {
+            this.login();
+            return;
+        }
+
+        this.connection.transition(STATES.LAUNCHING_GAME, relaunch ? 'relaunch' : null);
+        this.log('🎮 Launching CS2...');
+        if (relaunch) {
+            this.client.quitGame(); // Quit first so the GC hello starts over
+        }
+        this.client.launchGame();
+        this.setConnectTimer(() => this.handleGcFailure('Timed out connecting to the GC'), this.config.GC_CONNECT_TIMEOUT);
+    }
+
+    // The saved refresh token, or null (and discarded) if it has expired
+    usableRefreshToken() {
+        if (this.refreshToken && !isUsableRefreshToken(this.refreshToken)) {
+            this.log('🔑 Saved Steam session has expired');
+            this.discardRefreshToken();
+        }
+        return this.refreshToken;
+    }
+
+    saveRefreshToken(token) {
+        this.refreshToken = token;
+        try {
+            if (this.sessionStore.save(this.username, token)) {
+                this.log('🔑 Saved Steam session for future logins');
+            }
+        } catch (err) {
+            this.logError(`Could not save Steam session: ${err.message}`);
+        }
+    }
+
+    discardRefreshToken() {
+        this.refreshToken = null;
+        try {
+            this.sessionStore.remove(this.username);
+        } catch (err) {
+            this.logError(`Could not remove saved Steam session: ${err.message}`);
+        }
+    }
+
+    login() {
+        if (!this.canConnect()) {
+            return;
+        }
+
+        const refreshToken = this.usableRefreshToken();
+        if (refreshToken) {
+            this.log('🔑 Logging into Steam with saved session...');
+            this.usingRefreshToken = true;
+            this.lastLoginMethod = 'refresh-token';
+            this.connection.transition(STATES.LOGGING_IN, 'saved session');
+            this.client.logOn({ refreshToken });
+            return;
+        }
+        this.usingRefreshToken = false;
+
+        // Never log in without a code: steam-user would prompt for one on stdin
+        if (!this.maFile?.shared_secret) {
+            this.fail('2FA code unavailable: maFile missing or has no shared_secret');
+            return;
+        }
+        const authCode = this.generateAuthCode();
+        if (!authCode) {
+            this.handleConnectionError(new Error('Could not generate a 2FA code'));
+            return;
+        }
+
+        this.log(`🔐 Logging into Steam as ${this.username} with 2FA...`);
+        this.lastLoginMethod = 'password';
+        this.connection.transition(STATES.LOGGING_IN, 'password');
+        this.client.logOn({
+            accountName: this.username,
+            password: this.password,
+            rememberPassword: true, // Reduce future 2FA requests
+            twoFactorCode: authCode
+        });
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.scheduleTimer = setInterval(() => this.checkSchedule(), CONFIG.SCHEDULE_CHECK_INTERVAL);
+
+        if (this.schedule.isActive()) {
+            this.login();
+        } else {
+            this.offHours = true;
+            this.log(`💤 Outside active hours (${this.schedule.timeZone}), waiting for the next session`);
+        }
+    }
+
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        if (this.cooldownTimer) {
+            clearTimeout(this.cooldownTimer);
+            this.cooldownTimer = null;
+        }
+        if (this.scheduleTimer) {
+            clearInterval(this.scheduleTimer);
+            this.scheduleTimer = null;
+        }
+        this.disconnect('Stopped');
+        this.budget.close();
+    }
+
+    // Log off when an active window closes, log in when one opens, and wake
+    // the processing loop when a new hour or day frees up budget
+    checkSchedule() {
+        if (!this.running) {
+            return;
+        }
+
+        const active = this.schedule.isActive();
+        if (!active && !this.offHours) {
+            this.offHours = true;
+            this.log('🌙 Active hours are over, logging off after the current request');
+            this.logOffWhenIdle();
+        } else if (active && this.offHours) {
+            this.offHours = false;
+            if (this.canConnect()) {
+                this.log('🌅 Active hours started, logging in');
+                this.login();
+            }
+        }
+
+        if (this.budgetExhausted && !this.checkBudget()) {
+            this.log('🔋 GC request budget available again');
+            if (this.isAvailable()) {
+                this.emit('gcReady', this);
+            }
+        }
+    }
+
+    // Leaves in-flight requests (if any) to finish before logging off
+    async logOffWhenIdle() {
+        while (this.currentItems.size > 0 && this.offHours && this.running) {
+            await delay(CONFIG.IDLE_WAIT_INTERVAL);
+        }
+        if (this.offHours && this.running) {
+            this.disconnect('Outside active hours');
+        }
+    }
+
+    // Returns the exhausted limit ('daily' / 'hourly') or null, logging changes
+    checkBudget() {
+        const exhausted = this.budget.exhausted();
+        if (exhausted && !this.budgetExhausted) {
+            this.log(`🪫 ${exhausted} GC request budget used up, going idle`);
+        }
+        this.budgetExhausted = exhausted;
+        return exhausted;
+    }
+
+    isCoolingDown() {
+        return this.cooldownUntil !== null && Date.now() < this.cooldownUntil;
+    }
+
+    // Connected to the GC, in rotation, within active hours and budget
+    isAvailable() {
+        return this.running && this.gcConnected && !this.isCoolingDown() &&
+            !this.offHours && !this.checkBudget();
+    }
+
+    // Take a scheduled or timeout-recovery break if one is due. Concurrent
+    // lanes join the break already in progress instead of starting another.
+    takeBreakIfDue() {
+        if (!this.breakInProgress) {
+            this.breakInProgress = this.runDueBreaks().finally(() => {
+                this.breakInProgress = null;
+            });
+        }
+        return this.breakInProgress;
+    }
+
+    async runDueBreaks() {
+        if (this.requestCount >= this.nextBreakAfter) {
+            const breakDuration = getRandomDelay(this.config.BREAK_DURATION_MIN, this.config.BREAK_DURATION_MAX);
+            this.log(`☕ Taking scheduled break after ${this.requestCount} requests for ${Math.round(breakDuration/1000)} seconds`);
+            await this.pause(breakDuration);
+            this.nextBreakAfter = this.requestCount + this.calculateNextBreakPoint();
+            this.log('✅ Break completed, resuming processing...');
+        }
+
+        if (this.consecutiveTimeouts >= this.config.MAX_CONSECUTIVE_TIMEOUTS) {
+            this.logError(`🛑 Taking timeout recovery break after ${this.consecutiveTimeouts} consecutive timeouts`);
+            await this.pause(this.config.TIMEOUT_RECOVERY_BREAK);
+            this.consecutiveTimeouts = 0;
+            this.log('✅ Timeout recovery break completed');
+        }
+    }
+
+    async pause(ms) {
+        this.onBreakUntil = Date.now() + ms;
+        await delay(ms);
+        this.onBreakUntil = null;
+    }
+
+    // Human-like gap between two requests on this account, adapted to recent
+    // GC responses when adaptive pacing is on
+    async waitBeforeNextRequest() {
+        this.requestCount++;
+        const processingDelay = this.pacer
+            ? this.pacer.nextDelay()
+            : getRandomDelay(this.config.PROCESSING_DELAY_MIN, this.config.PROCESSING_DELAY_MAX);
+        this.log(`⏳ Waiting ${Math.round(processingDelay/1000)}s before next request...`);
+        await delay(processingDelay);
+    }
+
+    // Fetch a raw GC profile through the in-flight request manager; rejects on
+    // timeout or when the GC connection is lost. Every outcome feeds the pacer.
+    async fetchProfile(steamID64) {
+        this.stats.requests++;
+        const { sent, profile: response } = this.gcRequests.request(steamID64);
+        if (sent) {
+            this.budget.consume();
+        }
+
+        try {
+            const profile = await response;
+            this.consecutiveTimeouts = 0;
+            if (isEmptyProfile(profile)) {
+                this.pacer?.recordBackoff('empty');
+            } else {
+                this.pacer?.recordSuccess();
+            }
+            return profile;
+        } catch (err) {
+            if (err.timeout) {
+                this.consecutiveTimeouts++;
+                this.pacer?.recordBackoff('timeout');
+            }
+            throw err;
+        }
+    }
+
+    recordSuccess() {
+        this.stats.successes++;
+        this.stats.consecutiveFailures = 0;
+        this.stats.lastSuccessAt = new Date().toISOString();
+    }
+
+    // Returns true if this failure took the account out of rotation
+    recordFailure(error) {
+        this.stats.failures++;
+        this.stats.consecutiveFailures++;
+        this.stats.lastError = error.message;
+        this.stats.lastErrorAt = new Date().toISOString();
+
+        if (this.stats.consecutiveFailures < this.config.MAX_ACCOUNT_FAILURES) {
+            return false;
+        }
+
+        this.takeOutOfRotation(`${this.stats.consecutiveFailures} consecutive failures (last: ${error.message})`);
+        return true;
+    }
+
+    // Log off for ACCOUNT_COOLDOWN, then log in again with a clean slate
+    takeOutOfRotation(reason) {
+        if (this.isCoolingDown()) {
+            return;
+        }
+
+        this.stats.timesRemoved++;
+        this.cooldownUntil = Date.now() + this.config.ACCOUNT_COOLDOWN;
+        this.logError(`🚫 Taken out of rotation for ${Math.round(this.config.ACCOUNT_COOLDOWN/60000)} minutes: ${reason}`);
+        this.disconnect('Taken out of rotation');
+
+        this.cooldownTimer = setTimeout(() => {
+            this.cooldownTimer = null;
+            this.cooldownUntil = null;
+            this.stats.consecutiveFailures = 0;
+            this.consecutiveTimeouts = 0;
+            if (this.canConnect()) {
+                this.log('🔁 Cooldown over, returning to rotation');
+                this.login();
+            }
+        }, this.config.ACCOUNT_COOLDOWN);
+    }
+
+    getStatus() {
+        if (!this.running) return 'stopped';
+        if (this.disabledReason) return 'disabled';
+        if (this.isCoolingDown()) return 'cooldown';
+        if (this.offHours) return 'off-hours';
+        if (!this.gcConnected) return 'connecting';
+        if (this.budgetExhausted) return 'budget-exhausted';
+        if (this.onBreakUntil) return 'on-break';
+        return this.currentItems.size > 0 ? 'busy' : 'idle';
+    }
+
+    getSessionStatus() {
+        let expiresAt = null;
+        if (this.refreshToken) {
+            try {
+                expiresAt = decodeRefreshToken(this.refreshToken).expiresAt;
+            } catch (err) {
+                // Reported as no expiry; it is discarded at the next logon
+            }
+        }
+        return {
+            refreshToken: this.refreshToken !== null,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            persisted: this.sessionStore.isEnabled(),
+            lastLoginMethod: this.lastLoginMethod
+        };
+    }
+
+    getHealth() {
+        return {
+            username: this.username,
+            status: this.getStatus(),
+            gcConnected: this.gcConnected,
+            disabledReason: this.disabledReason,
+            connection: this.connection.getStatus(),
+            cooldownUntil: this.cooldownUntil ? new Date(this.cooldownUntil).toISOString() : null,
+            onBreakUntil: this.onBreakUntil ? new Date(this.onBreakUntil).toISOString() : null,
+            requestsSinceBreak: this.requestCount,
+            nextBreakAfter: this.nextBreakAfter,
+            consecutiveTimeouts: this.consecutiveTimeouts,
+            pacing: this.pacer ? this.pacer.getStatus() : null,
+            gcRequests: this.gcRequests.getStats(),
+            schedule: {
+                enabled: this.schedule.isEnabled(),
+                timezone: this.schedule.timeZone,
+                active: this.schedule.isActive()
+            },
+            budget: this.budget.getStatus(),
+            session: this.getSessionStatus(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = SteamAccount;
@@ -0,0 +1,104 @@
+// lib/steam-id.js - Normalize harvested Steam identifiers to SteamID64
+const SteamID = require('steamid');
+
+// Configuration
+const CONFIG = {
+    MAX_ACCOUNT_ID: 0xFFFFFFFF,
+    PROFILE_URL_PATTERN: /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/(profiles|id)\/([^/?#]+)\/?(?:[?#].*)?$/i
+};
+
+const TYPE_NAMES = Object.fromEntries(
+    Object.entries(SteamID.Type).map(([name, value]) => [value, name.toLowerCase()])
+);
+
+// Helper functions
+function reject(format, reason) {
+    return { steamId: null, format, reason };
+}
+
+function fromSteamID(sid, format) {
+    if (sid.type !== SteamID.Type.INDIVIDUAL) {
+        return reject(format, `Not an individual account (${TYPE_NAMES[sid.type] || 'unknown type'})`);
+    }
+
+    if (sid.universe !== SteamID.Universe.PUBLIC) {
+        return reject(format, 'Not a public universe account');
+    }
+
+    if (!sid.isValidIndividual()) {
+        return reject(format, 'Invalid individual Steam ID');
+    }
+
+    return { steamId: sid.getSteamID64(), format, reason: null };
+}
+
+function parseText(text, format) {
+    try {
+        return fromSteamID(new SteamID(text), format);
+    } catch (err) {
+        return reject(format, `Unrecognized ${format} value`);
+    }
+}
+
+// Normalize a harvested identifier into a SteamID64 string.
+// Accepts SteamID64, SteamID2 (STEAM_0:1:123), SteamID3 ([U:1:123]),
+// 32-bit account IDs and steamcommunity.com/profiles/ links. Returns
+// { steamId, format, reason } where steamId is null when rejected.
+function normalizeSteamId(input) {
+    if (input === null || input === undefined || typeof input === 'object' || typeof input === 'boolean') {
+        return reject('unknown', 'Steam ID must be a string or number');
+    }
+
+    // 17-digit JSON numbers are already rounded by the time we see them
+    if (typeof input === 'number' && !Number.isSafeInteger(input)) {
+        return reject('steamid64', 'SteamID64 must be sent as a string (number lost precision)');
+    }
+
+    const text = String(input).trim();
+
+    // Anything longer than an account ID is treated as a 64-bit ID so that
+    // group and game server IDs get a meaningful rejection reason
+    if (/^\d{11,20}$/.test(text)) {
+        return parseText(text, 'steamid64');
+    }
+
+    if (/^\d{1,10}$/.test(text)) {
+        const accountId = parseInt(text, 10);
+        if (accountId === 0 || accountId > CONFIG.MAX_ACCOUNT_ID) {
+            return reject('account_id', 'Account ID out of range');
+        }
+        return fromSteamID(SteamID.fromIndividualAccountID(accountId), 'account_id');
+    }
+
+    if (/^STEAM_[0-5]:[01]:\d+$/i.test(text)) {
+        return parseText(text.toUpperCase(), 'steamid2');
+    }
+
+    if (/^\[[a-zA-Z]:[0-5]:\d+(:\d+)?\]$/.test(text)) {
+        return parseText(text, 'steamid3');
+    }
+
+    const urlMatch = text.match(CONFIG.PROFILE_URL_PATTERN);
+    if (urlMatch) {
+        const [, kind, value] = urlMatch;
+        if (kind.toLowerCase() === 'id') {
+            return reject('vanity_url', 'Vanity profile URLs cannot be resolved without the Steam Web API');
+        }
+
+        let decoded;
+        try {
+            decoded = decodeURIComponent(value);
+        } catch (err) {
+            return reject('profile_url', 'Malformed percent-encoding in profile URL');
+        }
+
+        const normalized = normalizeSteamId(decoded);
+        return { ...normalized, format: 'profile_url' };
+    }
+
+    return reject('unknown', 'Unrecognized Steam ID format');
+}
+
+module.exports = {
+    normalizeSteamId
+};
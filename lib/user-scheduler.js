@@ -0,0 +1,212 @@
+// lib/user-scheduler.js - Picks which username's queue a worker takes its next Steam ID from
+const { loadPrioritySettings } = require('./priority-lanes');
+
+// Configuration
+const CONFIG = {
+    POLICY: 'round-robin',
+    DEFAULT_WEIGHT: 1
+};
+
+// Policies:
+//   round-robin   each username with queued IDs in turn (least recently served first)
+//   weighted      like round-robin, but a username with weight 3 gets three turns
+//                 for every one of a username with weight 1 (smooth weighted
+//                 round-robin, so its turns are spread out rather than bunched)
+//   oldest-first  the username whose next ID has waited longest, i.e. one
+//                 queue in arrival order across all usernames
+const POLICIES = ['round-robin', 'weighted', 'oldest-first'];
+
+// Priority lanes come before any policy: the highest lane with IDs waiting is
+// served, except that a lower lane gets every `lowerLaneShare`-th claim while
+// it has IDs waiting (the one whose next ID has waited longest), so a steady
+// stream of high-priority IDs can't starve the backlog.
+
+// Helper functions
+
+// Scheduling settings from config.json: the top-level `scheduling` section,
+// overridden key by key by the worker's own section (e.g. submitter.scheduling),
+// plus the lane share from `priority_lanes`
+function loadSchedulingSettings(userConfig, workerSection) {
+    const settings = { ...(userConfig.scheduling || {}), ...(userConfig[workerSection]?.scheduling || {}) };
+    const policy = settings.policy || CONFIG.POLICY;
+
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Unknown scheduling policy "${policy}" (expected ${POLICIES.join(', ')})`);
+    }
+
+    return {
+        policy,
+        weights: settings.weights || {},
+        defaultWeight: settings.default_weight ?? CONFIG.DEFAULT_WEIGHT,
+        lowerLaneShare: loadPrioritySettings(userConfig).lowerLaneShare
+    };
+}
+
+// Used by QueueStore.claim(): `pickLane` gets the ready lanes as a Map of
+// priority -> candidates, highest first, and returns one of the priorities.
+// `pick` gets that lane's candidates as a Map of username -> the item that
+// would be claimed next for it (in the queue's username order) and returns
+// one of the usernames. `served` is told about every claimed item, for the
+// turn-keeping and the per-user wait statistics.
+class UserScheduler {
+    // options: { policy, weights: { username: weight }, defaultWeight, lowerLaneShare }
+    constructor({
+        policy = CONFIG.POLICY,
+        weights = {},
+        defaultWeight = CONFIG.DEFAULT_WEIGHT,
+        lowerLaneShare = 0
+    } = {}) {
+        this.policy = policy;
+        this.weights = weights;
+        this.defaultWeight = defaultWeight;
+        this.lowerLaneShare = lowerLaneShare;
+
+        this.topLaneStreak = 0;     // Top-lane claims in a row while a lower lane waited
+        this.lowerLaneClaims = 0;   // Claims given to a lower lane by the share
+        this.turn = 0;
+        this.lastTurn = new Map();  // username -> turn it was last served (round-robin)
+        this.credits = new Map();   // username -> current credit (weighted)
+        this.users = new Map();     // username -> { served, totalWait, lastServedAt }
+    }
+
+    weightOf(username) {
+        const weight = this.weights[username] ?? this.defaultWeight;
+        return Number.isFinite(weight) && weight >= 0 ? weight : this.defaultWeight;
+    }
+
+    pickLane(lanes) {
+        const [top, ...lower] = lanes.keys();
+        if (lower.length === 0) {
+            this.topLaneStreak = 0;
+            return top;
+        }
+
+        if (this.lowerLaneShare > 0 && this.topLaneStreak >= this.lowerLaneShare - 1) {
+            this.topLaneStreak = 0;
+            this.lowerLaneClaims++;
+            return lower.reduce((best, priority) =>
+                (this.oldestIn(lanes.get(priority)) < this.oldestIn(lanes.get(best)) ? priority : best));
+        }
+
+        this.topLaneStreak++;
+        return top;
+    }
+
+    oldestIn(candidates) {
+        let oldest = Infinity;
+        for (const item of candidates.values()) {
+            oldest = Math.min(oldest, item.enqueuedAt);
+        }
+        return oldest;
+    }
+
+    pick(candidates) {
+        if (candidates.size === 1) {
+            return candidates.keys().next().value;
+        }
+
+        switch (this.policy) {
+            case 'weighted':
+                return this.pickWeighted(candidates);
+            case 'oldest-first':
+                return this.pickOldest(candidates);
+            default:
+                return this.pickLeastRecent(candidates);
+        }
+    }
+
+    // Usernames never served come first, in queue order
+    pickLeastRecent(candidates) {
+        let best = null;
+        let bestTurn = Infinity;
+        for (const username of candidates.keys()) {
+            const turn = this.lastTurn.get(username) ?? -1;
+            if (turn < bestTurn) {
+                best = username;
+                bestTurn = turn;
+            }
+        }
+        return best;
+    }
+
+    // Every candidate earns its weight in credit; the richest is served and
+    // pays back the total. A weight of 0 is only served when no one else waits.
+    pickWeighted(candidates) {
+        let best = null;
+        let total = 0;
+        for (const username of candidates.keys()) {
+            const weight = this.weightOf(username);
+            const credit = (this.credits.get(username) || 0) + weight;
+            this.credits.set(username, credit);
+            total += weight;
+            if (best === null || credit > this.credits.get(best)) {
+                best = username;
+            }
+        }
+
+        // Usernames whose queue ran empty start again from zero
+        for (const username of this.credits.keys()) {
+            if (!candidates.has(username)) {
+                this.credits.delete(username);
+            }
+        }
+
+        this.credits.set(best, this.credits.get(best) - total);
+        return best;
+    }
+
+    pickOldest(candidates) {
+        let best = null;
+        for (const [username, item] of candidates) {
+            const oldest = best && candidates.get(best);
+            if (!oldest || item.enqueuedAt < oldest.enqueuedAt ||
+                (item.enqueuedAt === oldest.enqueuedAt && item.id < oldest.id)) {
+                best = username;
+            }
+        }
+        return best;
+    }
+
+    served(item) {
+        const now = Date.now();
+        this.lastTurn.set(item.username, this.turn++);
+
+        const user = this.users.get(item.username) || { served: 0, totalWait: 0, lastServedAt: null };
+        user.served++;
+        user.totalWait += now - item.enqueuedAt;
+        user.lastServedAt = now;
+        this.users.set(item.username, user);
+    }
+
+    // Per username: what is waiting (QueueStore.userStats() of the queue this
+    // scheduler serves), how many IDs were taken since start and how long
+    // they had waited on average
+    getStats(waiting = {}) {
+        const users = {};
+        for (const username of new Set([...Object.keys(waiting), ...this.users.keys()])) {
+            const user = this.users.get(username);
+            users[username] = {
+                depth: 0,
+                oldestWaitSeconds: null,
+                ...waiting[username],
+                weight: this.policy === 'weighted' ? this.weightOf(username) : undefined,
+                served: user?.served || 0,
+                avgWaitSeconds: user ? Math.round(user.totalWait / user.served / 1000) : null,
+                lastServedAt: user ? new Date(user.lastServedAt).toISOString() : null
+            };
+        }
+
+        return {
+            policy: this.policy,
+            lowerLaneShare: this.lowerLaneShare,
+            lowerLaneClaims: this.lowerLaneClaims,
+            users
+        };
+    }
+}
+
+module.exports = {
+    POLICIES,
+    UserScheduler,
+    loadSchedulingSettings
+};
@@ -0,0 +1,65 @@
+// lib/verdict-cache.js - TTL cache of GC profile verdicts, backed by the profile store
+const { toGcProfile } = require('./profile-store');
+
+// Answers "do we already know this Steam ID's profile?" from the profile
+// store, so an ID that re-enters the pipeline within the TTL costs no GC
+// request. The store already keeps the latest fetched profile per SteamID64
+// on disk, so the cache adds only the TTL policy and its counters. The TTL
+// runs from when the profile was fetched from the GC; re-using it does not
+// extend it.
+class VerdictCache {
+    // options: { ttl (ms, 0 = no expiry), reevaluate }
+    constructor(profileStore, { ttl = 0, reevaluate = true } = {}) {
+        this.store = profileStore;
+        this.ttl = ttl;
+        this.reevaluate = reevaluate;
+        this.stats = {
+            lookups: 0,
+            hits: 0,
+            misses: 0,
+            expired: 0,
+            reused: 0,
+            reevaluated: 0
+        };
+    }
+
+    // A fresh cached entry for `filterProfile` ({ name, ruleSet }), or null on
+    // a miss: { record, profile (GC message shape), reuse }. `reuse` is true
+    // when the stored verdict can be used as is; otherwise the caller
+    // evaluates `profile` against the current rules.
+    lookup(steamId, filterProfile) {
+        this.stats.lookups++;
+
+        const record = this.store.get(steamId);
+        if (!record || !record.profile?.account_id) {
+            this.stats.misses++;
+            return null;
+        }
+
+        if (this.ttl && Date.now() - new Date(record.checked_at).getTime() > this.ttl) {
+            this.stats.misses++;
+            this.stats.expired++;
+            return null;
+        }
+
+        // A verdict is only valid for the filter profile and rules that produced it
+        const reuse = !this.reevaluate &&
+            (record.filter_profile || 'default') === filterProfile.name &&
+            record.rule_version === filterProfile.ruleSet.version;
+
+        this.stats.hits++;
+        this.stats[reuse ? 'reused' : 'reevaluated']++;
+        return { record, profile: toGcProfile(record.profile), reuse };
+    }
+
+    getStats() {
+        return {
+            ttlDays: this.ttl ? +(this.ttl / 86400000).toFixed(2) : null,
+            reevaluate: this.reevaluate,
+            ...this.stats,
+            hitRate: this.stats.lookups > 0 ? +(this.stats.hits / this.stats.lookups).toFixed(4) : 0
+        };
+    }
+}
+
+module.exports = VerdictCache;
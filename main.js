@@ -5,22 +5,35 @@ const express = require('express');
 const UniquenessChecker = require('./workers/uniqueness-checker');
 const FilterService = require('./workers/filter-service');
 const Submitter = require('./workers/submitter');
+const { parseHarvestedPayload, enqueueHarvested, summarizeReport, BatchRegistry } = require('./lib/ingest');
+const { detectFormat, importStream } = require('./lib/bulk-import');
+const { QUEUES, openQueue } = require('./lib/queue-store');
+const { openSeenCache } = require('./lib/seen-cache');
+const { openOutbox } = require('./lib/outbox');
+const { openProfileStore, toGcProfile } = require('./lib/profile-store');
+const { loadFilterProfiles } = require('./lib/filter-rules');
+const { reevaluateStoredProfiles, summarizeReevaluation } = require('./lib/reevaluate');
+const { acquireDataDirLock, releaseDataDirLock } = require('./lib/data-dir-lock');
+const { normalizeSteamId } = require('./lib/steam-id');
+const { loadPrioritySettings, resolvePriority, laneMeta } = require('./lib/priority-lanes');
 
 // Configuration
 const CONFIG = {
     PORT: process.env.PORT || 3000,
     CONFIG_PATH: path.join(__dirname, 'config.json'),
+    BATCH_REGISTRY_FILE: 'ingest_batches.json', // In the data directory
     
     // Startup delays (same as local main.js)
     FILTER_SERVICE_DELAY: 2000,    // 2 seconds
     SUBMITTER_DELAY: 4000,         // 4 seconds total
     
-    // Required files
-    REQUIRED_FILES: [
-        'steam_ids.json',
-        'steam_ids_unique.json', 
-        'steam_ids_filtered.json'
-    ]
+    // Durable queues, and the legacy JSON files they replace
+    QUEUE_DIR: path.join(__dirname, 'data'),
+    LEGACY_QUEUE_FILES: {
+        [QUEUES.HARVESTED]: 'steam_ids.json',
+        [QUEUES.UNIQUE]: 'steam_ids_unique.json',
+        [QUEUES.FILTERED]: 'steam_ids_filtered.json'
+    }
 };
 
 // Initialize Express app
@@ -36,22 +49,22 @@ let serviceStats = {
         submitter: { running: false, startTime: null }
     },
     lastActivity: new Date(),
-    totalIdsReceived: 0
+    totalIdsReceived: 0,
+    totalIdsRejected: 0
 };
 
-// Ensure directories and files exist
-function initializeEnvironment() {
-    // Create required JSON files if they don't exist
-    CONFIG.REQUIRED_FILES.forEach(filename => {
-        const filepath = path.join(__dirname, filename);
-        if (!fs.existsSync(filepath)) {
-            console.log(`Creating empty ${filename}...`);
-            fs.writeFileSync(filepath, '{}', 'utf8');
-        }
+// The started service; the API endpoints below serve it
+let steamService = null;
+
+// Ensure queues exist and migrate any legacy JSON queue files (kept next to config.json)
+function initializeEnvironment({ configPath, dataDir }) {
+    Object.entries(CONFIG.LEGACY_QUEUE_FILES).forEach(([name, filename]) => {
+        const queue = openQueue(name, dataDir);
+        queue.migrateJsonFile(path.join(path.dirname(configPath), filename));
     });
     
     // Check for required config file
-    if (!fs.existsSync(CONFIG.CONFIG_PATH)) {
+    if (!fs.existsSync(configPath)) {
         console.error('ERROR: config.json not found!');
         console.error('Please create config.json with your Steam credentials and API keys.');
         process.exit(1);
@@ -63,16 +76,74 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Simple API key validation (same as Django)
+function isValidApiKey(req) {
+    const apiKey = req.headers['x-api-key'];
+    
+    // Load config to get API key
+    const config = JSON.parse(fs.readFileSync(steamService.configPath, 'utf8'));
+    return Boolean(apiKey) && apiKey === config.link_harvester_api_key;
+}
+
+function getBatchId(req) {
+    return req.headers['x-batch-id'] ? String(req.headers['x-batch-id']).trim() : null;
+}
+
+// Optional X-Ingest-Source header, used to pick a filter profile
+function getIngestSource(req) {
+    return req.headers['x-ingest-source'] ? String(req.headers['x-ingest-source']).trim() : null;
+}
+
+// Optional X-Priority header: a lane name or an integer priority, default 0.
+// Returns { priority, lane } or { error }.
+function getPriority(req) {
+    const config = JSON.parse(fs.readFileSync(steamService.configPath, 'utf8'));
+    return resolvePriority(req.headers['x-priority'] ?? '0', loadPrioritySettings(config).lanes);
+}
+
+// Queue item meta for an ingested batch, or null if it has nothing to carry
+function ingestMeta(source, priority) {
+    const meta = { ...(source ? { source } : {}), ...laneMeta(priority) };
+    return Object.keys(meta).length > 0 ? meta : null;
+}
+
+// High-priority IDs shouldn't wait for the next uniqueness check interval
+function checkPriorityBatchNow(priority) {
+    if (priority.priority > 0) {
+        steamService.workers.uniquenessChecker?.processImmediately();
+    }
+}
+
 // Main service class
 class RenderSteamService {
-    constructor() {
+    // options (the defaults are what production runs with):
+    //   port                HTTP port; 0 picks a free one (this.port once started)
+    //   configPath          config.json to read
+    //   dataDir             where the queues and stores live
+    //   createClient        Steam/GC client factory for the Filter Service
+    //   filterServiceDelay  ms before starting the Filter Service
+    //   submitterDelay      ms before starting the Submitter (from start)
+    constructor({
+        port = CONFIG.PORT,
+        configPath = CONFIG.CONFIG_PATH,
+        dataDir = CONFIG.QUEUE_DIR,
+        createClient = null,
+        filterServiceDelay = CONFIG.FILTER_SERVICE_DELAY,
+        submitterDelay = CONFIG.SUBMITTER_DELAY
+    } = {}) {
+        this.port = port;
+        this.configPath = configPath;
+        this.dataDir = dataDir;
+        this.createClient = createClient;
+        this.filterServiceDelay = filterServiceDelay;
+        this.submitterDelay = submitterDelay;
         this.workers = {
             uniquenessChecker: null,
             filterService: null,
             submitter: null
         };
         this.running = false;
-        this.setupEventHandlers();
+        this.reevaluationInProgress = false;
     }
     
     setupEventHandlers() {
@@ -104,18 +175,28 @@ class RenderSteamService {
         }
         
         this.running = true;
+        steamService = this;
         console.log('🚀 Starting Render Steam ID Processing Service');
         console.log('========================================================');
         
         try {
+            // Refuse to share the data directory with another running service
+            acquireDataDirLock(this.dataDir);
+            
             // Initialize environment
-            initializeEnvironment();
+            initializeEnvironment(this);
+            
+            // Recently seen client batch IDs (survives restarts)
+            this.batchRegistry = new BatchRegistry(path.join(this.dataDir, CONFIG.BATCH_REGISTRY_FILE));
             
             // Start HTTP server first
             await this.startHttpServer();
             
             // Start workers in sequence
             await this.startWorkers();
+            if (!this.running) {
+                return; // Stopped while waiting to start a worker
+            }
             
             console.log('✅ All workers started successfully!');
             console.log('📡 Service ready to receive Steam IDs');
@@ -128,46 +209,64 @@ class RenderSteamService {
     
     async startHttpServer() {
         return new Promise((resolve) => {
-            this.server = app.listen(CONFIG.PORT, () => {
-                console.log(`🌐 HTTP server running on port ${CONFIG.PORT}`);
+            this.server = app.listen(this.port, () => {
+                this.port = this.server.address().port;
+                console.log(`🌐 HTTP server running on port ${this.port}`);
                 console.log(`📊 Health check: /health`);
                 console.log(`📥 API endpoint: /api/add-harvested-ids/`);
+                console.log(`📥 Bulk import: /api/import-harvested-ids/`);
                 resolve();
             });
         });
     }
     
+    // Same config.json and data directory for every worker
+    workerOptions() {
+        return { configPath: this.configPath, dataDir: this.dataDir };
+    }
+    
+    createFilterService() {
+        return new FilterService({ ...this.workerOptions(), createClient: this.createClient });
+    }
+    
     async startWorkers() {
         // 1. Start Uniqueness Checker immediately
         console.log('🔍 Starting Uniqueness Checker...');
-        this.workers.uniquenessChecker = new UniquenessChecker();
+        this.workers.uniquenessChecker = new UniquenessChecker(this.workerOptions());
         this.workers.uniquenessChecker.start();
         serviceStats.workers.uniquenessChecker.running = true;
         serviceStats.workers.uniquenessChecker.startTime = new Date();
         
         // 2. Start Filter Service after delay
-        console.log(`⏳ Waiting ${CONFIG.FILTER_SERVICE_DELAY/1000}s before starting Filter Service...`);
-        await delay(CONFIG.FILTER_SERVICE_DELAY);
+        console.log(`⏳ Waiting ${this.filterServiceDelay/1000}s before starting Filter Service...`);
+        await delay(this.filterServiceDelay);
+        if (!this.running) {
+            return;
+        }
         
         console.log('🎮 Starting Filter Service...');
-        this.workers.filterService = new FilterService();
+        this.workers.filterService = this.createFilterService();
         this.workers.filterService.start();
         serviceStats.workers.filterService.running = true;
         serviceStats.workers.filterService.startTime = new Date();
         
         // 3. Start Submitter after additional delay
-        const remainingDelay = CONFIG.SUBMITTER_DELAY - CONFIG.FILTER_SERVICE_DELAY;
+        const remainingDelay = Math.max(this.submitterDelay - this.filterServiceDelay, 0);
         console.log(`⏳ Waiting ${remainingDelay/1000}s more before starting Submitter...`);
         await delay(remainingDelay);
+        if (!this.running) {
+            return;
+        }
         
         console.log('📤 Starting Submitter...');
-        this.workers.submitter = new Submitter();
+        this.workers.submitter = new Submitter(this.workerOptions());
         this.workers.submitter.start();
         serviceStats.workers.submitter.running = true;
         serviceStats.workers.submitter.startTime = new Date();
     }
     
-    shutdown() {
+    // Stop the workers and the HTTP server, without exiting the process
+    async stop() {
         if (!this.running) {
             return;
         }
@@ -189,10 +288,18 @@ class RenderSteamService {
         
         // Stop HTTP server
         if (this.server) {
-            this.server.close();
+            await new Promise(resolve => {
+                this.server.close(() => resolve());
+                this.server.closeIdleConnections();
+            });
         }
         
+        releaseDataDirLock(this.dataDir);
         console.log('Service stopped');
+    }
+    
+    async shutdown() {
+        await this.stop();
         
         // Exit after a short delay to allow cleanup
         setTimeout(() => {
@@ -213,8 +320,19 @@ class RenderSteamService {
             },
             stats: {
                 totalIdsReceived: serviceStats.totalIdsReceived,
+                totalIdsRejected: serviceStats.totalIdsRejected,
                 lastActivity: serviceStats.lastActivity
             },
+            steamAccounts: this.workers.filterService?.getAccountHealth() || [],
+            seenCache: openSeenCache(this.dataDir).getStats(),
+            verdictCache: this.workers.filterService?.verdictCache?.getStats() || null,
+            outbox: openOutbox(this.dataDir).getStats(),
+            scheduling: {
+                uniquenessChecker: this.workers.uniquenessChecker?.getSchedulingStats() || null,
+                filterService: this.workers.filterService?.getSchedulingStats() || null,
+                submitter: this.workers.submitter?.getSchedulingStats() || null
+            },
+            deadLetter: openQueue(QUEUES.DEAD_LETTER, this.dataDir).size(),
             memory: process.memoryUsage()
         };
     }
@@ -233,7 +351,10 @@ app.get('/', (req, res) => {
         uptime: Math.floor((Date.now() - serviceStats.startTime) / 1000),
         endpoints: {
             health: '/health',
-            addIds: '/api/add-harvested-ids/'
+            addIds: '/api/add-harvested-ids/',
+            importIds: '/api/import-harvested-ids/',
+            profiles: '/api/profiles',
+            explain: '/api/explain'
         }
     });
 });
@@ -241,30 +362,20 @@ app.get('/', (req, res) => {
 // Debug endpoints for troubleshooting
 app.get('/debug/files', (req, res) => {
     try {
-        const files = ['steam_ids.json', 'steam_ids_unique.json', 'steam_ids_filtered.json'];
-        const fileContents = {};
-        
-        files.forEach(filename => {
-            try {
-                const filepath = path.join(__dirname, filename);
-                if (fs.existsSync(filepath)) {
-                    const content = fs.readFileSync(filepath, 'utf8');
-                    fileContents[filename] = {
-                        exists: true,
-                        content: content ? JSON.parse(content) : {},
-                        size: Buffer.byteLength(content, 'utf8')
-                    };
-                } else {
-                    fileContents[filename] = { exists: false };
-                }
-            } catch (err) {
-                fileContents[filename] = { exists: true, error: err.message };
-            }
+        const queues = {};
+        
+        Object.entries(CONFIG.LEGACY_QUEUE_FILES).forEach(([name, filename]) => {
+            const queue = openQueue(name, steamService.dataDir);
+            queues[name] = {
+                replaces: filename,
+                stats: queue.stats(),
+                content: queue.snapshot()
+            };
         });
         
         res.json({
             timestamp: new Date().toISOString(),
-            files: fileContents
+            queues: queues
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -282,8 +393,7 @@ app.post('/debug/restart-filter', async (req, res) => {
         }
         
         console.log('[DEBUG] Starting new Filter Service...');
-        const FilterService = require('./workers/filter-service');
-        steamService.workers.filterService = new FilterService();
+        steamService.workers.filterService = steamService.createFilterService();
         steamService.workers.filterService.start();
         
         serviceStats.workers.filterService.running = true;
@@ -306,23 +416,25 @@ app.post('/debug/restart-filter', async (req, res) => {
 
 app.post('/debug/clear-files', async (req, res) => {
     try {
-        const { file } = req.body;
-        const allowedFiles = ['steam_ids.json', 'steam_ids_unique.json', 'steam_ids_filtered.json'];
+        // Accept a queue name or the legacy file name it replaces
+        const { file, queue: queueName } = req.body;
+        const name = queueName || Object.keys(CONFIG.LEGACY_QUEUE_FILES)
+            .find(key => CONFIG.LEGACY_QUEUE_FILES[key] === file);
         
-        if (!file || !allowedFiles.includes(file)) {
+        if (!name || !CONFIG.LEGACY_QUEUE_FILES[name]) {
             return res.status(400).json({
-                error: 'Invalid file. Allowed: ' + allowedFiles.join(', ')
+                error: 'Invalid queue. Allowed: ' + Object.keys(CONFIG.LEGACY_QUEUE_FILES).join(', ') +
+                    ' (or file: ' + Object.values(CONFIG.LEGACY_QUEUE_FILES).join(', ') + ')'
             });
         }
         
-        const filepath = path.join(__dirname, file);
-        fs.writeFileSync(filepath, '{}', 'utf8');
+        openQueue(name, steamService.dataDir).clear();
         
-        console.log(`[DEBUG] Cleared ${file}`);
+        console.log(`[DEBUG] Cleared ${name} queue`);
         
         res.json({
             success: true,
-            message: `Cleared ${file}`,
+            message: `Cleared ${name} queue`,
             timestamp: new Date().toISOString()
         });
         
@@ -334,93 +446,411 @@ app.post('/debug/clear-files', async (req, res) => {
     }
 });
 
-app.post('/api/add-harvested-ids/', async (req, res) => {
+// Dead-letter administration
+function formatDeadLetter(item) {
+    return {
+        id: item.id,
+        username: item.username,
+        steam_id: item.steamId,
+        attempts: item.meta?.attempts || 0,
+        errors: item.meta?.errors || [],
+        queue: item.meta?.queue || null,
+        dead_lettered_at: item.meta?.deadLetteredAt || null
+    };
+}
+
+// Pick dead-lettered items by { steam_ids: [...] } or { all: true }
+function selectDeadLetters(queue, body) {
+    if (body?.all === true) {
+        return queue.list({ limit: Infinity }).items;
+    }
+    
+    if (!Array.isArray(body?.steam_ids) || body.steam_ids.length === 0) {
+        return null;
+    }
+    return body.steam_ids.flatMap(steamId => queue.findBySteamId(steamId));
+}
+
+app.get('/admin/dead-letter', (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const queue = openQueue(QUEUES.DEAD_LETTER, steamService.dataDir);
+        const { total, items } = queue.list({
+            username: req.query.username || null,
+            offset: parseInt(req.query.offset, 10) || 0,
+            limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+        });
+        
+        res.json({
+            total: total,
+            items: items.map(formatDeadLetter)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/dead-letter/retry', (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const deadLetterQueue = openQueue(QUEUES.DEAD_LETTER, steamService.dataDir);
+        const items = selectDeadLetters(deadLetterQueue, req.body);
+        if (!items) {
+            return res.status(400).json({ error: 'Expected {"steam_ids": [...]} or {"all": true}' });
+        }
+        
+        // Back into the queue they failed in, with a fresh attempt count
+        const retried = items.map(item => {
+            const target = openQueue(item.meta?.queue || QUEUES.UNIQUE, steamService.dataDir);
+            target.enqueue(item.username, item.steamId, item.meta?.itemMeta || null);
+            return item;
+        });
+        deadLetterQueue.ackMany(retried.map(item => item.id));
+        
+        console.log(`[ADMIN] 🔁 Requeued ${retried.length} dead-lettered Steam IDs`);
+        
+        res.json({
+            success: true,
+            retried: retried.length,
+            steam_ids: retried.map(item => item.steamId)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/admin/dead-letter/discard', (req, res) => {
     try {
-        // Simple API key validation (same as Django)
-        const apiKey = req.headers['x-api-key'];
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
         
-        // Load config to get API key
-        const config = JSON.parse(fs.readFileSync(CONFIG.CONFIG_PATH, 'utf8'));
-        if (!apiKey || apiKey !== config.link_harvester_api_key) {
+        // Discarded IDs are marked processed, through the Filter Service's outbox handler
+        const filterService = steamService.workers.filterService;
+        if (!filterService) {
+            return res.status(503).json({ error: 'Filter Service is not running yet' });
+        }
+        
+        const items = selectDeadLetters(filterService.deadLetterQueue, req.body);
+        if (!items) {
+            return res.status(400).json({ error: 'Expected {"steam_ids": [...]} or {"all": true}' });
+        }
+        
+        filterService.discardDeadLetters(items);
+        
+        console.log(`[ADMIN] 🗑️ Discarded ${items.length} dead-lettered Steam IDs`);
+        
+        res.json({
+            success: true,
+            discarded: items.length,
+            steam_ids: items.map(item => item.steamId)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Requeue outbox messages that were given up on (listed under outbox.recentFailures
+// in /health), by { keys: [...] } or { all: true }
+app.post('/admin/outbox/retry', (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
             return res.status(401).json({ error: 'Invalid API key' });
         }
         
-        const data = req.body;
+        const { keys, all } = req.body || {};
+        if (all !== true && (!Array.isArray(keys) || keys.length === 0)) {
+            return res.status(400).json({ error: 'Expected {"keys": [...]} or {"all": true}' });
+        }
         
-        if (!data || typeof data !== 'object') {
+        const retried = openOutbox(steamService.dataDir).retryFailed(all === true ? null : keys);
+        
+        console.log(`[ADMIN] 🔁 Requeued ${retried.length} failed outbox messages`);
+        
+        res.json({
+            success: true,
+            retried: retried.length,
+            keys: retried
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-run the current filter rules over stored profiles (after a rule change)
+app.post('/admin/reevaluate', async (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const { dry_run: dryRun, all, filter_profile: filterProfile } = req.body || {};
+        const profiles = getFilterProfiles();
+        if (filterProfile && !profiles.get(filterProfile)) {
             return res.status(400).json({
-                error: 'Invalid JSON format. Expected object with username keys.'
+                error: `Unknown filter profile "${filterProfile}" (available: ${profiles.names().join(', ')})`
             });
         }
         
-        // Validate input data
-        let totalIdsReceived = 0;
-        for (const [username, steamIds] of Object.entries(data)) {
-            if (!Array.isArray(steamIds)) {
-                return res.status(400).json({
-                    error: `Invalid format for user ${username}. Expected list of Steam IDs.`
-                });
-            }
-            
-            // Validate each Steam ID
-            for (const steamId of steamIds) {
-                const steamIdStr = String(steamId).trim();
-                if (!steamIdStr.match(/^\d{17}$/)) {
-                    return res.status(400).json({
-                        error: `Invalid Steam ID format: ${steamIdStr}. Must be exactly 17 digits.`,
-                        username: username
-                    });
-                }
-            }
-            
-            totalIdsReceived += steamIds.length;
+        // One job at a time; a second would re-check the same snapshot
+        if (steamService.reevaluationInProgress) {
+            return res.status(409).json({ error: 'A re-evaluation is already running. Retry once it has finished.' });
         }
         
-        // Read existing steam_ids.json
-        const steamIdsPath = path.join(__dirname, 'steam_ids.json');
-        let existingData = {};
-        
+        steamService.reevaluationInProgress = true;
+        let report;
         try {
-            const content = fs.readFileSync(steamIdsPath, 'utf8').trim();
-            if (content) {
-                existingData = JSON.parse(content);
+            report = await reevaluateStoredProfiles({
+                profileStore: openProfileStore(steamService.dataDir),
+                filterProfiles: profiles,
+                submitQueue: openQueue(QUEUES.FILTERED, steamService.dataDir)
+            }, {
+                filterProfile: filterProfile || null,
+                all: all === true,
+                dryRun: dryRun === true
+            });
+        } finally {
+            steamService.reevaluationInProgress = false;
+        }
+        
+        console.log(`[ADMIN] 🔁 ${summarizeReevaluation(report)}`);
+        
+        res.json({ success: true, ...report });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stored GC profile results
+app.get('/api/profiles', (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const { username, verdict, reason, since, until, filter_profile: filterProfile } = req.query;
+        if (verdict && !['passed', 'rejected'].includes(verdict)) {
+            return res.status(400).json({ error: 'verdict must be "passed" or "rejected"' });
+        }
+        for (const [name, value] of Object.entries({ since, until })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({ error: `Invalid ${name} timestamp: ${value}` });
             }
-        } catch (err) {
-            // File doesn't exist or is empty, start with empty object
-            existingData = {};
         }
         
-        // Merge new data with existing data
-        for (const [username, steamIds] of Object.entries(data)) {
-            const steamIdsStr = steamIds.map(id => String(id));
-            
-            if (existingData[username]) {
-                // Combine with existing IDs, remove duplicates
-                const existingIds = existingData[username].map(id => String(id));
-                const combinedIds = [...new Set([...existingIds, ...steamIdsStr])];
-                existingData[username] = combinedIds;
-            } else {
-                existingData[username] = steamIdsStr;
+        const result = openProfileStore(steamService.dataDir).query({
+            username, verdict, reason, since, until, filterProfile,
+            offset: parseInt(req.query.offset, 10) || 0,
+            limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+        });
+        
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/profiles/:steamId', (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const result = openProfileStore(steamService.dataDir).get(req.params.steamId);
+        if (!result) {
+            return res.status(404).json({ error: `No stored profile for ${req.params.steamId}` });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Filter profiles of the running Filter Service, or the same ones loaded
+// from config.json if it hasn't started yet
+function getFilterProfiles() {
+    const filterService = steamService.workers.filterService;
+    if (filterService) {
+        return filterService.config.filterProfiles;
+    }
+    return loadFilterProfiles(JSON.parse(fs.readFileSync(steamService.configPath, 'utf8')));
+}
+
+// Explain a filter decision for a raw profile or a Steam ID. The filter
+// profile is named explicitly or resolved from the username.
+function evaluateForExplain(profiles, profile, { filterProfile = null, username = null } = {}) {
+    const resolved = filterProfile
+        ? { name: filterProfile, ruleSet: profiles.get(filterProfile) }
+        : profiles.resolve({ username });
+    
+    return {
+        ...resolved.ruleSet.evaluate(profile),
+        filterProfile: resolved.name,
+        rules_source: resolved.ruleSet.source,
+        rule_version: resolved.ruleSet.version
+    };
+}
+
+function formatExplanation(evaluation, extra) {
+    return {
+        ...extra,
+        verdict: evaluation.passed ? 'passed' : 'rejected',
+        reason: evaluation.reason,
+        detail: evaluation.detail,
+        filter_profile: evaluation.filterProfile,
+        rules_source: evaluation.rules_source,
+        rule_version: evaluation.rule_version,
+        checks: evaluation.checks
+    };
+}
+
+app.post('/api/explain', (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const { profile, steam_id: steamIdInput, refresh, filter_profile: filterProfile, username } = req.body || {};
+        
+        const profiles = getFilterProfiles();
+        if (filterProfile && !profiles.get(filterProfile)) {
+            return res.status(400).json({
+                error: `Unknown filter profile "${filterProfile}" (available: ${profiles.names().join(', ')})`
+            });
+        }
+        
+        if (profile && typeof profile === 'object') {
+            // Accept the raw GC message or the stored profile shape
+            const gcProfile = Array.isArray(profile.medals) ? toGcProfile(profile) : profile;
+            return res.json(formatExplanation(evaluateForExplain(profiles, gcProfile, { filterProfile, username }), { source: 'request' }));
+        }
+        
+        if (steamIdInput === undefined) {
+            return res.status(400).json({ error: 'Expected {"profile": {...}} or {"steam_id": "..."}' });
+        }
+        
+        const { steamId, reason } = normalizeSteamId(steamIdInput);
+        if (!steamId) {
+            return res.status(400).json({ error: `Invalid Steam ID: ${reason}` });
+        }
+        
+        const stored = openProfileStore(steamService.dataDir).get(steamId);
+        if (stored && refresh !== true) {
+            // Re-evaluate with the filter profile it was checked under (if it
+            // still exists) unless another one was asked for
+            const storedProfile = !username && profiles.get(stored.filter_profile) ? stored.filter_profile : null;
+            const evaluation = evaluateForExplain(profiles, toGcProfile(stored.profile), {
+                filterProfile: filterProfile || storedProfile,
+                username: username || stored.username
+            });
+            return res.json(formatExplanation(evaluation, {
+                source: 'stored',
+                steam_id: steamId,
+                checked_at: stored.checked_at,
+                stored_verdict: stored.verdict,
+                stored_filter_profile: stored.filter_profile || 'default',
+                stored_rule_version: stored.rule_version || null,
+                profile: stored.profile
+            }));
+        }
+        
+        // No profile yet: ask the Filter Service to fetch one
+        const filterService = steamService.workers.filterService;
+        if (!filterService) {
+            return res.status(503).json({ error: 'Filter Service is not running', steam_id: steamId });
+        }
+        
+        const lookup = filterService.requestLookup(steamId);
+        if (!lookup.queued) {
+            return res.status(429).json({ error: 'Too many pending lookups, try again later', steam_id: steamId });
+        }
+        
+        res.status(202).json({
+            status: 'queued',
+            steam_id: steamId,
+            position: lookup.position,
+            gc_connected: filterService.isProcessingActive(),
+            message: lookup.position === 0
+                ? 'Profile is being fetched. Call again once it has been fetched.'
+                : 'Profile lookup queued. Call again once it has been fetched.'
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/add-harvested-ids/', async (req, res) => {
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        // Optional client-supplied batch ID makes retries idempotent
+        const batchId = getBatchId(req);
+        if (batchId) {
+            const previous = steamService.batchRegistry.get(batchId);
+            if (previous) {
+                console.log(`📥 Batch ${batchId} already received, returning original report`);
+                return res.json({ ...previous.response, duplicate_batch: true });
+            }
+
+            // A streaming import holds this batch ID until it has finished
+            if (steamService.batchRegistry.isPending(batchId)) {
+                console.log(`📥 Batch ${batchId} is still being imported, refusing concurrent POST`);
+                return res.status(409).json({
+                    error: `Batch ${batchId} is already being imported. Retry once it has finished.`,
+                    batch_id: batchId
+                });
             }
         }
         
-        // Write updated data back to file
-        fs.writeFileSync(steamIdsPath, JSON.stringify(existingData, null, 2));
+        const { entries, report, error } = parseHarvestedPayload(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const priority = getPriority(req);
+        if (priority.error) {
+            return res.status(400).json({ error: priority.error });
+        }
+        
+        // Enqueue valid IDs; invalid ones are only reported
+        const source = getIngestSource(req);
+        enqueueHarvested(openQueue(QUEUES.HARVESTED, steamService.dataDir), entries, report, ingestMeta(source, priority));
+        const summary = summarizeReport(report);
+        checkPriorityBatchNow(priority);
         
         // Update stats
-        serviceStats.totalIdsReceived += totalIdsReceived;
+        serviceStats.totalIdsReceived += summary.ids_received;
+        serviceStats.totalIdsRejected += summary.rejected;
         serviceStats.lastActivity = new Date();
         
-        console.log(`📥 Received ${totalIdsReceived} Steam IDs from ${Object.keys(data).length} users`);
+        console.log(`📥 Received ${summary.ids_received} Steam IDs from ${Object.keys(report).length} users (${summary.accepted} new, ${summary.already_queued} already queued, ${summary.rejected} rejected)${priority.priority ? ` at priority ${priority.priority}` : ''}`);
         
-        res.json({
+        const response = {
             success: true,
-            message: 'Steam IDs successfully added',
-            stats: {
-                ids_received: totalIdsReceived,
-                users_updated: Object.keys(data).length
-            }
-        });
+            message: summary.rejected > 0 ? 'Steam IDs partially added' : 'Steam IDs successfully added',
+            batch_id: batchId,
+            source: source,
+            priority: priority.priority,
+            lane: priority.lane,
+            duplicate_batch: false,
+            stats: summary,
+            report: report
+        };
+        
+        if (batchId) {
+            steamService.batchRegistry.record(batchId, { response });
+        }
+        
+        res.json(response);
         
     } catch (error) {
         console.error(`Error adding harvested Steam IDs: ${error.message}`);
@@ -430,13 +860,108 @@ app.post('/api/add-harvested-ids/', async (req, res) => {
     }
 });
 
-// Initialize and start service
-const steamService = new RenderSteamService();
-
-// Start the service
-steamService.start().catch(error => {
-    console.error('Failed to start service:', error.message);
-    process.exit(1);
+// Streaming bulk import: NDJSON ({"username": ..., "steam_id": ...} per line)
+// or CSV (username,steam_id per line), validated and enqueued incrementally
+app.post('/api/import-harvested-ids/', async (req, res) => {
+    let reservedBatchId = null;
+    try {
+        if (!isValidApiKey(req)) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const format = detectFormat(req.headers['content-type']);
+        if (!format) {
+            return res.status(415).json({
+                error: 'Unsupported Content-Type. Use application/x-ndjson or text/csv.'
+            });
+        }
+        
+        const batchId = getBatchId(req);
+        if (batchId) {
+            const previous = steamService.batchRegistry.get(batchId);
+            if (previous) {
+                console.log(`📥 Import batch ${batchId} already received, returning original summary`);
+                req.resume();
+                return res.json({ ...previous.response, duplicate_batch: true });
+            }
+        }
+        
+        const priority = getPriority(req);
+        if (priority.error) {
+            req.resume();
+            return res.status(400).json({ error: priority.error });
+        }
+        
+        // Hold the batch ID while the body streams in, so a concurrent
+        // upload with the same ID can't pass the duplicate check as well
+        if (batchId) {
+            if (!steamService.batchRegistry.reserve(batchId)) {
+                console.log(`📥 Import batch ${batchId} is already being imported, refusing concurrent upload`);
+                req.resume();
+                return res.status(409).json({
+                    error: `Batch ${batchId} is already being imported. Retry once it has finished.`,
+                    batch_id: batchId
+                });
+            }
+            reservedBatchId = batchId;
+        }
+        
+        console.log(`📥 Streaming ${format.toUpperCase()} import started${batchId ? ` (batch ${batchId})` : ''}`);
+        
+        const source = getIngestSource(req);
+        const queue = openQueue(QUEUES.HARVESTED, steamService.dataDir);
+        const result = await importStream(req, { format, queue, meta: ingestMeta(source, priority) });
+        if (!req.complete) {
+            throw new Error('Upload was cut off before the end of the body');
+        }
+        checkPriorityBatchNow(priority);
+        
+        // Update stats
+        serviceStats.totalIdsReceived += result.stats.ids_received;
+        serviceStats.totalIdsRejected += result.stats.rejected;
+        serviceStats.lastActivity = new Date();
+        
+        console.log(`📥 Imported ${result.lines} lines: ${result.stats.accepted} new, ${result.stats.already_queued} already queued, ${result.stats.rejected} rejected`);
+        
+        const response = {
+            success: true,
+            message: result.stats.rejected > 0 ? 'Steam IDs partially imported' : 'Steam IDs successfully imported',
+            batch_id: batchId,
+            source: source,
+            priority: priority.priority,
+            lane: priority.lane,
+            duplicate_batch: false,
+            format: format,
+            ...result
+        };
+        
+        if (batchId) {
+            steamService.batchRegistry.record(batchId, { response });
+        }
+        
+        res.json(response);
+        
+    } catch (error) {
+        if (reservedBatchId) {
+            steamService.batchRegistry.release(reservedBatchId);
+        }
+        console.error(`Error importing harvested Steam IDs: ${error.message}`);
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
 });
 
-module.exports = steamService;
\ No newline at end of file
+// Initialize and start service when run directly (tests start their own)
+if (require.main === module) {
+    const service = new RenderSteamService();
+    service.setupEventHandlers();
+    
+    // Start the service
+    service.start().catch(error => {
+        console.error('Failed to start service:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = RenderSteamService;
\ No newline at end of file
@@ -0,0 +1,74 @@
+// scripts/reevaluate-profiles.js - Re-run the filter rules over stored profiles from the command line
+//
+// Usage: node scripts/reevaluate-profiles.js [--dry-run] [--all] [--filter-profile <name>]
+//
+// Reads the rules from config.json like the service does. Run it while the
+// service is stopped: the data files are not shared between processes, so it
+// refuses to start while the service holds the data directory.
+// With the service running, use POST /admin/reevaluate instead.
+const fs = require('fs');
+const path = require('path');
+const { QUEUES, openQueue } = require('../lib/queue-store');
+const { openProfileStore } = require('../lib/profile-store');
+const { loadFilterProfiles } = require('../lib/filter-rules');
+const { reevaluateStoredProfiles, summarizeReevaluation } = require('../lib/reevaluate');
+const { readDataDirLock } = require('../lib/data-dir-lock');
+
+// Configuration
+const CONFIG = {
+    CONFIG_PATH: path.join(__dirname, '../config.json'),
+    QUEUE_DIR: path.join(__dirname, '../data')
+};
+
+// Helper functions
+function parseArgs(argv) {
+    const options = { dryRun: false, all: false, filterProfile: null };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--all':
+                options.all = true;
+                break;
+            case '--filter-profile':
+                options.filterProfile = argv[++i];
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const lock = readDataDirLock(CONFIG.QUEUE_DIR);
+    if (lock) {
+        throw new Error(`The service (pid ${lock.pid} on ${lock.hostname}, started ${lock.startedAt}) is using ${CONFIG.QUEUE_DIR}. ` +
+            'Stop it first, or use POST /admin/reevaluate while it runs.');
+    }
+
+    const userConfig = fs.existsSync(CONFIG.CONFIG_PATH) ? JSON.parse(fs.readFileSync(CONFIG.CONFIG_PATH, 'utf8')) : {};
+    const filterProfiles = loadFilterProfiles(userConfig);
+
+    if (options.filterProfile && !filterProfiles.get(options.filterProfile)) {
+        throw new Error(`Unknown filter profile "${options.filterProfile}" (available: ${filterProfiles.names().join(', ')})`);
+    }
+
+    const profileStore = openProfileStore(CONFIG.QUEUE_DIR);
+    const submitQueue = openQueue(QUEUES.FILTERED, CONFIG.QUEUE_DIR);
+    try {
+        const report = await reevaluateStoredProfiles({ profileStore, filterProfiles, submitQueue }, options);
+        console.log(summarizeReevaluation(report));
+        console.log(JSON.stringify(report, null, 2));
+    } finally {
+        profileStore.close();
+        submitQueue.close();
+    }
+}
+
+main().catch(err => {
+    console.error(`Re-evaluation failed: ${err.message}`);
+    process.exit(1);
+});
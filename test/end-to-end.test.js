@@ -0,0 +1,320 @@
+// test/end-to-end.test.js - The whole pipeline, from the ingest API to the main server's queue
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RenderSteamService = require('../main');
+const { FakeGcClient, passingProfile, rejectedProfile } = require('./support/fake-gc-client');
+const { FakeMainServer } = require('./support/fake-main-server');
+
+const PASSING_ID = '76561198000000001';
+const REJECTED_ID = '76561198000000002';
+const KNOWN_ID = '76561198000000003';
+
+// Fast timings (seconds, as in config.json)
+const FAST_CONFIG = {
+    uniqueness_checker: { check_interval: 0.05, request_timeout: 1, retry_delay: 0.01 },
+    filter_service: {
+        processing_delay_min: 0.001,
+        processing_delay_max: 0.002,
+        login_to_game_delay_min: 0.001,
+        login_to_game_delay_max: 0.002,
+        empty_queue_delay: 0.01,
+        error_delay: 0.01,
+        request_timeout: 0.5,
+        requests_before_break_min: 1000,
+        requests_before_break_max: 1001,
+        adaptive_pacing: { enabled: false }
+    },
+    submitter: {
+        file_check_interval: 0.01,
+        api_timeout: 1,
+        api_retry_delay_min: 0.01,
+        api_retry_delay_max: 0.05,
+        request_delay: 0.001
+    }
+};
+
+let running = [];
+
+// Helper functions
+
+// The service in a temporary directory, pointed at a fresh fake main server
+// and using one fake Steam/GC client that passes only PASSING_ID
+async function startPipeline() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'end-to-end-test-'));
+    const mainServer = new FakeMainServer();
+    await mainServer.start();
+
+    const maFile = path.join(dir, 'bot1.maFile');
+    fs.writeFileSync(maFile, JSON.stringify({ shared_secret: Buffer.alloc(20).toString('base64') }));
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        ...mainServer.config(),
+        steam_accounts: [{ username: 'bot1', password: 'secret', mafile: maFile }],
+        ...FAST_CONFIG
+    }));
+
+    const gc = new FakeGcClient({
+        defaultProfile: steamId => (steamId === PASSING_ID ? passingProfile() : rejectedProfile())
+    });
+    const service = new RenderSteamService({
+        port: 0,
+        configPath,
+        dataDir: path.join(dir, 'data'),
+        createClient: () => gc,
+        filterServiceDelay: 0,
+        submitterDelay: 0
+    });
+    await service.start();
+
+    const harness = { service, mainServer, gc, dir };
+    running.push(harness);
+    return harness;
+}
+
+async function postHarvested(service, body, { apiKey = 'test-link-harvester-key', batchId = null, priority = null } = {}) {
+    const headers = { 'Content-Type': 'application/json', 'X-API-Key': apiKey };
+    if (batchId) {
+        headers['X-Batch-ID'] = batchId;
+    }
+    if (priority) {
+        headers['X-Priority'] = priority;
+    }
+    const res = await fetch(`http://127.0.0.1:${service.port}/api/add-harvested-ids/`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function getHealth(service) {
+    const res = await fetch(`http://127.0.0.1:${service.port}/health`);
+    return res.json();
+}
+
+async function waitFor(condition, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${condition}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+    for (const { service, mainServer, gc, dir } of running) {
+        await service.stop();
+        gc.close();
+        await mainServer.stop();
+        // Let worker loops notice the stop before the files go away
+        await new Promise(resolve => setTimeout(resolve, 50));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    running = [];
+    mock.restoreAll();
+});
+
+test('queues the harvested IDs that are new to the main server and pass the filter', async () => {
+    const { service, mainServer, gc } = await startPipeline();
+    mainServer.addKnown(KNOWN_ID);
+
+    const { status, body } = await postHarvested(service, { harvester_1: [PASSING_ID, REJECTED_ID, KNOWN_ID] });
+    assert.equal(status, 200);
+    assert.equal(body.stats.accepted, 3);
+
+    await waitFor(() => mainServer.queue.length === 1 && mainServer.processed.size === 2);
+
+    assert.deepEqual(mainServer.queue, [{ steam_id: PASSING_ID, username: 'harvester_1', filter_profile: 'default' }]);
+    assert.equal(mainServer.processed.get(PASSING_ID).outcome, 'passed');
+    assert.equal(mainServer.processed.get(REJECTED_ID).outcome, 'rejected');
+    assert.deepEqual(mainServer.callsTo('filter-unique-steamids')[0].body, { harvester_1: [PASSING_ID, REJECTED_ID, KNOWN_ID] });
+    assert.deepEqual([...gc.requests].sort(), [PASSING_ID, REJECTED_ID]); // The known ID never reaches the GC
+});
+
+test('rejects a post with the wrong API key', async () => {
+    const { service, mainServer } = await startPipeline();
+
+    const { status } = await postHarvested(service, { harvester_1: [PASSING_ID] }, { apiKey: 'wrong' });
+
+    assert.equal(status, 401);
+    assert.equal(service.workers.uniquenessChecker.inputQueue.size(), 0);
+    assert.equal(mainServer.requests.length, 0);
+});
+
+test('keeps the IDs and retries when the uniqueness check fails', async () => {
+    const { service, mainServer } = await startPipeline();
+    mainServer.failNext('filter-unique-steamids', { times: 2, status: 500 });
+
+    await postHarvested(service, { harvester_1: [PASSING_ID] });
+    await waitFor(() => mainServer.queue.length === 1);
+
+    const statuses = mainServer.callsTo('filter-unique-steamids').map(call => call.status);
+    assert.deepEqual(statuses, [500, 500, 200]);
+    assert.deepEqual(mainServer.queuedIds(), [PASSING_ID]);
+});
+
+test('delivers a submission once the main queue comes back', async () => {
+    const { service, mainServer } = await startPipeline();
+    mainServer.failNext('add-steam-id-to-queue', { times: Infinity });
+
+    await postHarvested(service, { harvester_1: [PASSING_ID] });
+    await waitFor(() => mainServer.callsTo('add-steam-id-to-queue').length >= 2);
+
+    const health = await getHealth(service);
+    assert.equal(health.outbox.byKind.submit.depth, 1);
+    assert.equal(mainServer.queue.length, 0);
+
+    mainServer.recover('add-steam-id-to-queue');
+    await waitFor(() => mainServer.queue.length === 1);
+
+    // Every attempt is the same submission
+    const keys = new Set(mainServer.callsTo('add-steam-id-to-queue').map(call => call.headers['idempotency-key']));
+    assert.deepEqual([...keys], [`submit:harvester_1:${PASSING_ID}`]);
+    await waitFor(async () => (await getHealth(service)).outbox.depth === 0);
+});
+
+test('gives up on a submission the main server rejects without holding up the others', async () => {
+    const { service, mainServer, gc } = await startPipeline();
+    const others = ['76561198000000011', '76561198000000012'];
+    others.forEach(steamId => gc.reply(steamId, { profile: passingProfile() }));
+    mainServer.failNext('add-steam-id-to-queue', {
+        times: Infinity,
+        status: 400,
+        body: { error: 'Invalid username' },
+        match: body => body.steam_id === PASSING_ID
+    });
+
+    await postHarvested(service, { harvester_1: [PASSING_ID, ...others] });
+    await waitFor(() => mainServer.queue.length === 2);
+    await waitFor(async () => (await getHealth(service)).outbox.depth === 0);
+
+    const { outbox } = await getHealth(service);
+    assert.deepEqual(mainServer.queuedIds().sort(), others);
+    assert.equal(mainServer.callsTo('add-steam-id-to-queue').filter(call => call.body.steam_id === PASSING_ID).length, 1);
+    assert.equal(outbox.failed, 1);
+    assert.equal(outbox.byKind.submit.failed, 1);
+    assert.equal(outbox.recentFailures[0].key, `submit:harvester_1:${PASSING_ID}`);
+    assert.match(outbox.recentFailures[0].error, /HTTP 400/);
+
+    // Once the main server accepts it, an admin can send it again
+    mainServer.recover('add-steam-id-to-queue');
+    const res = await fetch(`http://127.0.0.1:${service.port}/admin/outbox/retry`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-link-harvester-key' },
+        body: JSON.stringify({ all: true })
+    });
+    assert.equal((await res.json()).retried, 1);
+    await waitFor(() => mainServer.queue.length === 3);
+});
+
+test('answers a repeated batch from the registry without queueing it again', async () => {
+    const { service, mainServer, gc } = await startPipeline();
+
+    const first = await postHarvested(service, { harvester_1: [PASSING_ID] }, { batchId: 'batch-1' });
+    await waitFor(() => mainServer.queue.length === 1);
+    const repeat = await postHarvested(service, { harvester_1: [PASSING_ID] }, { batchId: 'batch-1' });
+
+    assert.equal(first.body.duplicate_batch, false);
+    assert.equal(repeat.body.duplicate_batch, true);
+    assert.deepEqual(repeat.body.stats, first.body.stats);
+    assert.equal(service.workers.uniquenessChecker.inputQueue.size(), 0);
+    assert.equal(mainServer.callsTo('filter-unique-steamids').length, 1);
+    assert.deepEqual(gc.requests, [PASSING_ID]);
+});
+
+test('caches only the IDs the uniqueness check reported as known', async () => {
+    const { service, mainServer, gc } = await startPipeline();
+    gc.latency = 200; // Keep the unique ID from being processed while we look
+    mainServer.addKnown(KNOWN_ID);
+    const { seenCache, outputQueue } = service.workers.uniquenessChecker;
+
+    await postHarvested(service, { harvester_1: [PASSING_ID, KNOWN_ID] });
+    await waitFor(() => mainServer.callsTo('filter-unique-steamids').length === 1 && outputQueue.size() === 1);
+
+    assert.equal(seenCache.has(KNOWN_ID), true);
+    assert.equal(seenCache.has(PASSING_ID), false);
+
+    await waitFor(() => mainServer.queue.length === 1);
+    assert.equal(seenCache.has(PASSING_ID), true); // Added once it was marked processed
+});
+
+test('refuses a concurrent import or POST with the same batch ID', async () => {
+    const { service } = await startPipeline();
+    let finishUpload;
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode(`harvester_1,${PASSING_ID}\n`));
+            finishUpload = () => controller.close();
+        }
+    });
+    const importCsv = (csv) => fetch(`http://127.0.0.1:${service.port}/api/import-harvested-ids/`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv', 'X-API-Key': 'test-link-harvester-key', 'X-Batch-ID': 'import-1' },
+        body: csv,
+        duplex: 'half'
+    });
+
+    const first = importCsv(body);
+    await waitFor(() => service.batchRegistry.isPending('import-1'));
+    const concurrent = await importCsv(`harvester_1,${REJECTED_ID}\n`);
+    const concurrentPost = await postHarvested(service, { harvester_1: [REJECTED_ID] }, { batchId: 'import-1' });
+    finishUpload();
+    const firstBody = await (await first).json();
+    const repeat = await (await importCsv(`harvester_1,${REJECTED_ID}\n`)).json();
+
+    assert.equal(concurrent.status, 409);
+    assert.equal(concurrentPost.status, 409);
+    assert.equal(firstBody.stats.accepted, 1);
+    assert.equal(repeat.duplicate_batch, true);
+    assert.equal(service.batchRegistry.isPending('import-1'), false);
+});
+
+test('drops an ID the main server learned about from another harvester run', async () => {
+    const { service, mainServer, gc } = await startPipeline();
+
+    await postHarvested(service, { harvester_1: [PASSING_ID] });
+    await waitFor(() => mainServer.queue.length === 1);
+    await postHarvested(service, { harvester_2: [PASSING_ID] });
+    await waitFor(() => service.workers.uniquenessChecker.inputQueue.size() === 0);
+
+    assert.deepEqual(mainServer.queue.map(entry => entry.username), ['harvester_1']);
+    assert.deepEqual(gc.requests, [PASSING_ID]);
+});
+
+test('checks a high-priority batch ahead of the backlog', async () => {
+    const { service, mainServer, gc } = await startPipeline();
+    gc.latency = 20;
+    const backlog = Array.from({ length: 20 }, (_, i) => String(76561198000000500n + BigInt(i)));
+
+    await postHarvested(service, { harvester_1: backlog });
+    // Same username, so only the lane can put it ahead
+    const { body } = await postHarvested(service, { harvester_1: [PASSING_ID] }, { priority: 'high' });
+    assert.equal(body.priority, 10);
+    assert.equal(body.lane, 'high');
+
+    await waitFor(() => mainServer.queue.length === 1);
+
+    assert.ok(gc.requests.indexOf(PASSING_ID) < 3, `checked after ${gc.requests.indexOf(PASSING_ID)} backlog IDs`);
+    assert.ok(gc.requests.length < backlog.length);
+    assert.equal(mainServer.queue[0].username, 'harvester_1');
+});
+
+test('rejects an unknown priority lane', async () => {
+    const { service } = await startPipeline();
+
+    const { status, body } = await postHarvested(service, { harvester_1: [PASSING_ID] }, { priority: 'urgent' });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Unknown priority "urgent"/);
+    assert.equal(service.workers.uniquenessChecker.inputQueue.size(), 0);
+});
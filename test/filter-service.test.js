@@ -0,0 +1,377 @@
+// test/filter-service.test.js - Filter Service processing loop against the scripted GC client
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EResult } = require('steam-user');
+const FilterService = require('../workers/filter-service');
+const { FakeGcClient, passingProfile } = require('./support/fake-gc-client');
+
+const PASSING_ID = '76561198000000001';
+const REJECTED_ID = '76561198000000002';
+const FLAKY_ID = '76561198000000003';
+
+// Fast timings (seconds, as in config.json) so every test runs in well under a second
+const FAST_SETTINGS = {
+    processing_delay_min: 0.001,
+    processing_delay_max: 0.002,
+    login_to_game_delay_min: 0.001,
+    login_to_game_delay_max: 0.002,
+    empty_queue_delay: 0.01,
+    error_delay: 0.01,
+    request_timeout: 0.05,
+    requests_before_break_min: 1000,
+    requests_before_break_max: 1001,
+    reconnect_delay_min: 0.01,
+    reconnect_delay_max: 0.05,
+    gc_connect_timeout: 0.1,
+    adaptive_pacing: { enabled: false }
+};
+
+let running = [];
+
+// Helper functions
+
+// A Filter Service in a temporary directory with one fake client per account.
+// `accountSettings` holds per-account filter_service overrides by username.
+// Mark-processed calls are collected in `marked` instead of being sent.
+function createService({ accounts = ['bot1'], settings = {}, accountSettings = {}, client = {} } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-service-test-'));
+    const steamAccounts = accounts.map(username => {
+        const maFile = path.join(dir, `${username}.maFile`);
+        fs.writeFileSync(maFile, JSON.stringify({ shared_secret: Buffer.alloc(20).toString('base64') }));
+        return { username, password: 'secret', mafile: maFile, filter_service: accountSettings[username] };
+    });
+    const configPath = path.join(dir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        steam_accounts: steamAccounts,
+        link_harvester_api_key: 'test-key',
+        mark_processed_api_url: 'http://127.0.0.1:9/mark-processed/',
+        filter_service: { ...FAST_SETTINGS, ...settings }
+    }));
+
+    const clients = {};
+    const service = new FilterService({
+        configPath,
+        dataDir: path.join(dir, 'data'),
+        createClient: ({ username }) => (clients[username] = new FakeGcClient(client))
+    });
+
+    const marked = [];
+    service.deliverMarkProcessed = async (payload) => {
+        marked.push(payload);
+    };
+
+    const harness = { service, clients, marked, dir };
+    running.push(harness);
+    return harness;
+}
+
+function outcomeOf(marked, steamId) {
+    return marked.find(payload => payload.steam_id === steamId)?.outcome;
+}
+
+// Records every break an account takes, with how many requests preceded it
+function recordBreaks(account) {
+    const breaks = [];
+    const pause = account.pause.bind(account);
+    account.pause = (ms) => {
+        breaks.push({ ms, afterRequests: account.requestCount });
+        return pause(ms);
+    };
+    return breaks;
+}
+
+async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${condition}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(async () => {
+    for (const { service, clients, dir } of running) {
+        service.stop();
+        Object.values(clients).forEach(client => client.close());
+        // Let processing loops notice the stop before the files go away
+        await new Promise(resolve => setTimeout(resolve, 50));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    running = [];
+    mock.restoreAll();
+});
+
+test('checks queued IDs and forwards the ones that pass', async () => {
+    const { service, clients, marked } = createService();
+    service.inputQueue.enqueue('harvester_1', PASSING_ID);
+    service.inputQueue.enqueue('harvester_1', REJECTED_ID);
+    clients.bot1.reply(PASSING_ID, { profile: passingProfile() });
+    service.start();
+
+    await waitFor(() => marked.length === 2);
+
+    assert.equal(outcomeOf(marked, PASSING_ID), 'passed');
+    assert.equal(outcomeOf(marked, REJECTED_ID), 'rejected');
+    assert.equal(service.outputQueue.findBySteamId(PASSING_ID).length, 1);
+    assert.equal(service.outputQueue.findBySteamId(REJECTED_ID).length, 0);
+    assert.equal(service.profileStore.get(REJECTED_ID).reason, 'commendations ≥ 100');
+    assert.equal(service.inputQueue.size(), 0);
+});
+
+test('retries a timed-out request and uses the answer to the retry', async () => {
+    const { service, clients, marked } = createService();
+    service.inputQueue.enqueue('harvester_1', FLAKY_ID);
+    clients.bot1.reply(FLAKY_ID, { timeout: true }, { profile: passingProfile() });
+    service.start();
+
+    await waitFor(() => marked.length === 1);
+
+    assert.equal(outcomeOf(marked, FLAKY_ID), 'passed');
+    assert.deepEqual(clients.bot1.requests, [FLAKY_ID, FLAKY_ID]);
+    assert.equal(service.accounts[0].stats.failures, 1);
+    assert.equal(service.accounts[0].getHealth().gcRequests.timeouts, 1);
+});
+
+test('dead-letters an ID that keeps failing and marks it as an error only when discarded', async () => {
+    const { service, clients, marked } = createService({ settings: { max_retries: 2, max_total_attempts: 2 } });
+    service.inputQueue.enqueue('harvester_1', FLAKY_ID);
+    clients.bot1.reply(FLAKY_ID, { timeout: true });
+    service.start();
+
+    await waitFor(() => service.deadLetterQueue.findBySteamId(FLAKY_ID).length === 1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(clients.bot1.requests.length, 4); // 2 rounds of 2 attempts
+    assert.equal(service.outputQueue.size(), 0);
+    assert.deepEqual(marked, []); // Still retryable, so not processed yet
+
+    service.discardDeadLetters(service.deadLetterQueue.findBySteamId(FLAKY_ID));
+    await waitFor(() => marked.length === 1);
+
+    assert.equal(outcomeOf(marked, FLAKY_ID), 'error');
+    assert.match(marked[0].reason, /Timeout fetching profile/);
+    assert.equal(service.deadLetterQueue.size(), 0);
+});
+
+test('retries with the account\'s own max_retries and error_delay', async () => {
+    const { service, clients, marked } = createService({
+        settings: { max_retries: 1, error_delay: 60 },
+        accountSettings: { bot1: { max_retries: 3, error_delay: 0.01 } }
+    });
+    const failures = [];
+    const recordFailure = service.recordFailure.bind(service);
+    service.recordFailure = (...args) => {
+        failures.push(args[1].message);
+        return recordFailure(...args);
+    };
+    service.inputQueue.enqueue('harvester_1', FLAKY_ID);
+    clients.bot1.reply(FLAKY_ID, { timeout: true }, { timeout: true }, { profile: passingProfile() });
+    service.start();
+
+    await waitFor(() => marked.length === 1);
+
+    assert.equal(outcomeOf(marked, FLAKY_ID), 'passed');
+    assert.deepEqual(failures, []); // All three attempts in the first round
+    assert.equal(clients.bot1.requests.length, 3);
+});
+
+test('backs off the account\'s pacing when the GC answers with an empty profile', async () => {
+    const { service, clients, marked } = createService({
+        settings: { adaptive_pacing: { enabled: true, floor: 0.001, ceiling: 1, decrease_step: 0.001, jitter: 0 } }
+    });
+    service.inputQueue.enqueue('harvester_1', REJECTED_ID);
+    service.inputQueue.enqueue('harvester_1', PASSING_ID);
+    clients.bot1.reply(REJECTED_ID, { profile: { commendation: null, medals: { display_items_defidx: [] } } });
+    clients.bot1.reply(PASSING_ID, { profile: passingProfile() });
+    service.start();
+
+    await waitFor(() => marked.length === 2);
+
+    const pacing = service.accounts[0].getHealth().pacing;
+    assert.equal(pacing.backoffs.empty, 1);
+    assert.equal(pacing.lastBackoffReason, 'empty');
+    assert.equal(pacing.successes, 1);
+});
+
+test('refreshes a stored profile once and keeps the username it belongs to', async () => {
+    const { service, clients } = createService();
+    service.profileStore.save({
+        steam_id: PASSING_ID,
+        username: 'harvester_1',
+        verdict: 'rejected',
+        profile: { account_id: 39734273, commendations: null, medals: [] },
+        checked_at: new Date(0).toISOString()
+    });
+    clients.bot1.reply(PASSING_ID, { profile: passingProfile(), delay: 30 });
+    service.start();
+
+    assert.deepEqual(service.requestLookup(PASSING_ID), { queued: true, position: 1 });
+    await waitFor(() => clients.bot1.requests.length === 1);
+    assert.deepEqual(service.requestLookup(PASSING_ID), { queued: true, position: 0 }); // Being fetched
+    await waitFor(() => service.profileStore.get(PASSING_ID).verdict === 'passed');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepEqual(clients.bot1.requests, [PASSING_ID]);
+    assert.equal(service.profileStore.get(PASSING_ID).username, 'harvester_1');
+    assert.equal(service.profileStore.query({ username: 'harvester_1' }).total, 1);
+});
+
+test('returns an item when the GC drops mid-request and finishes it after reconnecting', async () => {
+    const { service, clients, marked } = createService({ client: { gcConnectDelay: 50 } });
+    const failures = [];
+    const recordFailure = service.recordFailure.bind(service);
+    service.recordFailure = (...args) => {
+        failures.push(args[1].message);
+        return recordFailure(...args);
+    };
+    service.inputQueue.enqueue('harvester_1', PASSING_ID);
+    clients.bot1.reply(PASSING_ID, { disconnect: true }, { profile: passingProfile() });
+    service.start();
+
+    await waitFor(() => marked.length === 1);
+
+    assert.equal(outcomeOf(marked, PASSING_ID), 'passed');
+    assert.deepEqual(failures, []); // Losing the GC isn't the ID's fault
+    assert.equal(service.accounts[0].connection.state, 'gc-connected');
+});
+
+test('leaves an item alone that stop() handed back while it was being checked', async () => {
+    // Answered after the stop, then timed out with (released) and without
+    // (failed) retries left
+    const cases = [
+        { reply: { profile: passingProfile(), delay: 30 }, maxRetries: 1 },
+        { reply: { timeout: true }, maxRetries: 2 },
+        { reply: { timeout: true }, maxRetries: 1 }
+    ];
+    for (const { reply, maxRetries } of cases) {
+        const { service, clients, marked } = createService({ settings: { max_retries: maxRetries } });
+        service.inputQueue.enqueue('harvester_1', PASSING_ID);
+        clients.bot1.reply(PASSING_ID, reply);
+        service.start();
+        await waitFor(() => clients.bot1.requests.length === 1);
+
+        service.stop();
+        const reclaimed = service.inputQueue.claim(); // As a restarted service would
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.equal(reclaimed.steamId, PASSING_ID);
+        assert.equal(service.inputQueue.claim(), null, `${JSON.stringify(reply)} with ${maxRetries} retries`); // Still held by the new claim
+        assert.equal(service.inputQueue.get(reclaimed.id).attempts, 0);
+        assert.deepEqual(marked, []);
+    }
+});
+
+test('relaunches CS2 when the GC does not answer', async () => {
+    const { service, clients, marked } = createService({ settings: { max_gc_relaunches: 5 } });
+    clients.bot1.setGcAvailable(false);
+    service.inputQueue.enqueue('harvester_1', REJECTED_ID);
+    service.start();
+
+    await waitFor(() => clients.bot1.launches >= 2);
+    assert.equal(service.accounts[0].connection.lastError.message, 'Timed out connecting to the GC');
+    assert.equal(marked.length, 0);
+
+    clients.bot1.setGcAvailable(true);
+    await waitFor(() => marked.length === 1);
+    assert.equal(service.accounts[0].connection.attempts, 0);
+    assert.deepEqual(clients.bot1.logOns, ['password']);
+});
+
+test('spreads the queue across accounts', async () => {
+    const { service, clients, marked } = createService({ accounts: ['bot1', 'bot2'], client: { latency: 5 } });
+    const ids = Array.from({ length: 8 }, (_, i) => String(76561198000000100n + BigInt(i)));
+    ids.forEach(id => service.inputQueue.enqueue('harvester_1', id));
+    service.start();
+
+    await waitFor(() => marked.length === ids.length);
+
+    assert.ok(clients.bot1.requests.length > 0);
+    assert.ok(clients.bot2.requests.length > 0);
+    assert.equal(clients.bot1.requests.length + clients.bot2.requests.length, ids.length);
+});
+
+test('takes a scheduled break after the configured number of requests', async () => {
+    const { service, marked } = createService({
+        settings: { requests_before_break_min: 2, requests_before_break_max: 2, break_duration_min: 0.05, break_duration_max: 0.05 }
+    });
+    const breaks = recordBreaks(service.accounts[0]);
+    ['76561198000000201', '76561198000000202', '76561198000000203'].forEach(id => service.inputQueue.enqueue('harvester_1', id));
+    service.start();
+
+    await waitFor(() => marked.length === 3);
+
+    assert.equal(breaks.length, 1);
+    assert.equal(breaks[0].afterRequests, 2);
+    assert.equal(Math.round(breaks[0].ms), 50);
+});
+
+test('takes a recovery break after consecutive timeouts', async () => {
+    const { service, clients, marked } = createService({
+        settings: { max_retries: 2, max_consecutive_timeouts: 2, timeout_recovery_break: 0.1 }
+    });
+    const breaks = recordBreaks(service.accounts[0]);
+    service.inputQueue.enqueue('harvester_1', FLAKY_ID);
+    clients.bot1.reply(FLAKY_ID, { timeout: true }, { timeout: true }, { profile: passingProfile() });
+    service.start();
+
+    await waitFor(() => marked.length === 1);
+
+    // The first round times out twice; the break comes before the second
+    assert.equal(outcomeOf(marked, FLAKY_ID), 'passed');
+    assert.deepEqual(breaks.map(b => b.ms), [100]);
+    assert.equal(service.accounts[0].consecutiveTimeouts, 0);
+});
+
+test('backs off without counting a failure when the account is in use elsewhere', async () => {
+    const { service, clients } = createService();
+    clients.bot1.failLogOn(EResult.LoggedInElsewhere, 'LoggedInElsewhere');
+    service.start();
+
+    const account = service.accounts[0];
+    await waitFor(() => account.connection.state === 'backoff');
+
+    const { connection } = account.getHealth();
+    assert.equal(connection.lastError.result, 'LoggedInElsewhere');
+    assert.ok(new Date(connection.nextRetryAt).getTime() - Date.now() > 5 * 60000);
+    assert.equal(account.stats.consecutiveFailures, 0);
+    assert.equal(service.isProcessingActive(), false);
+});
+
+test('disables an account whose password is rejected', async () => {
+    const { service, clients } = createService();
+    clients.bot1.failLogOn(EResult.InvalidPassword, 'InvalidPassword');
+    service.start();
+
+    const account = service.accounts[0];
+    await waitFor(() => account.connection.state === 'fatal');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(account.getStatus(), 'disabled');
+    assert.match(account.disabledReason, /InvalidPassword/);
+    assert.deepEqual(clients.bot1.logOns, ['password']);
+});
+
+test('takes turns between usernames instead of draining the first one', async () => {
+    const { service, clients, marked } = createService();
+    const bigIds = Array.from({ length: 4 }, (_, i) => String(76561198000000300n + BigInt(i)));
+    bigIds.forEach(id => service.inputQueue.enqueue('big_harvester', id));
+    service.inputQueue.enqueue('small_harvester', PASSING_ID);
+    service.start();
+
+    await waitFor(() => marked.length === 5);
+
+    assert.deepEqual(clients.bot1.requests.slice(0, 2), [bigIds[0], PASSING_ID]);
+    const { policy, users } = service.getSchedulingStats();
+    assert.equal(policy, 'round-robin');
+    assert.equal(users.big_harvester.served, 4);
+    assert.equal(users.small_harvester.served, 1);
+});
@@ -0,0 +1,128 @@
+// test/outbox.test.js - Delivery, retries and giving up in the durable outbox
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Outbox } = require('../lib/outbox');
+
+let outboxes = [];
+
+// Helper functions
+
+function createOutbox(dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'))) {
+    const outbox = new Outbox(dir);
+    outboxes.push({ outbox, dir });
+    return outbox;
+}
+
+function httpError(statusCode) {
+    const error = new Error(`HTTP ${statusCode}`);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// A delivery function that records each attempt and fails for the keys in `failures`
+function recorder(failures = {}) {
+    const attempts = [];
+    const deliver = async (body, key) => {
+        attempts.push(key);
+        if (failures[key]) {
+            throw failures[key]();
+        }
+    };
+    return { attempts, deliver };
+}
+
+// Run the dispatcher `rounds` times, `wait` ms apart so short backoffs
+// expire in between
+async function drain(outbox, rounds = 1, wait = 30) {
+    for (let i = 0; i < rounds; i++) {
+        await outbox.dispatch();
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+}
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    for (const { outbox, dir } of outboxes) {
+        outbox.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    outboxes = [];
+    mock.restoreAll();
+});
+
+test('backs off only the failing message and gives up on it after maxAttempts', async () => {
+    const outbox = createOutbox();
+    const { attempts, deliver } = recorder({ bad: () => httpError(500) });
+    outbox.add('submit', 'bad', {});
+    outbox.add('submit', 'good-1', {});
+    outbox.add('submit', 'good-2', {});
+    outbox.register('submit', deliver, { retryDelayMin: 20, retryDelayMax: 20, maxAttempts: 3 });
+
+    await drain(outbox, 3);
+
+    assert.deepEqual(attempts, ['bad', 'good-1', 'good-2', 'bad', 'bad']);
+    const stats = outbox.getStats();
+    assert.equal(stats.depth, 0);
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.givenUp, 1);
+    assert.deepEqual(stats.recentFailures.map(failure => [failure.key, failure.attempts]), [['bad', 3]]);
+});
+
+test('gives up at once on a 4xx, but keeps retrying 401 and 429', async () => {
+    const outbox = createOutbox();
+    const { attempts, deliver } = recorder({
+        invalid: () => httpError(400),
+        unauthorized: () => httpError(401),
+        throttled: () => httpError(429)
+    });
+    ['invalid', 'unauthorized', 'throttled'].forEach(key => outbox.add('submit', key, {}));
+    outbox.register('submit', deliver, { retryDelayMin: 20, retryDelayMax: 20 });
+
+    await drain(outbox, 2);
+
+    assert.deepEqual(attempts, ['invalid', 'unauthorized', 'throttled', 'unauthorized', 'throttled']);
+    assert.equal(outbox.getStats().failed, 1);
+    assert.equal(outbox.depth('submit'), 2);
+});
+
+test('pauses a kind only when several different messages fail in a row', async () => {
+    const outbox = createOutbox();
+    const down = () => httpError(503);
+    const { attempts, deliver } = recorder({ a: down, b: down, c: down, d: down });
+    ['a', 'b', 'c', 'd'].forEach(key => outbox.add('submit', key, {}));
+    outbox.register('submit', deliver, { retryDelayMin: 60000, retryDelayMax: 60000 });
+
+    await drain(outbox);
+
+    assert.deepEqual(attempts, ['a', 'b', 'c']);
+    assert.ok(outbox.getStats().byKind.submit.retryingAt);
+});
+
+test('keeps failed messages across a restart and retries them on request', async () => {
+    const outbox = createOutbox();
+    const { deliver } = recorder({ bad: () => httpError(422) });
+    outbox.add('submit', 'bad', { steam_id: '76561198000000001' }, { priority: 10 });
+    outbox.register('submit', deliver);
+    await drain(outbox);
+    outbox.close();
+
+    const reopened = createOutbox(outboxes[0].dir);
+    assert.equal(reopened.getStats().failed, 1);
+    assert.equal(reopened.getStats().recentFailures[0].attempts, 1);
+
+    const { attempts, deliver: accept } = recorder();
+    reopened.register('submit', accept);
+    assert.deepEqual(reopened.retryFailed(['bad']), ['bad']);
+    await drain(reopened);
+
+    assert.deepEqual(attempts, ['bad']);
+    assert.equal(reopened.getStats().failed, 0);
+    assert.equal(reopened.add('submit', 'bad', {}), false); // Delivered now
+});
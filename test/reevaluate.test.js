@@ -0,0 +1,129 @@
+// test/reevaluate.test.js - Re-evaluating stored profiles after a rule change
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProfileStore } = require('../lib/profile-store');
+const { QueueStore } = require('../lib/queue-store');
+const { loadFilterProfiles } = require('../lib/filter-rules');
+const { reevaluateStoredProfiles, summarizeReevaluation } = require('../lib/reevaluate');
+const { acquireDataDirLock, releaseDataDirLock, readDataDirLock } = require('../lib/data-dir-lock');
+const { passingProfile } = require('./support/fake-gc-client');
+
+let dirs = [];
+
+// Helper functions
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reevaluate-test-'));
+    dirs.push(dir);
+    return dir;
+}
+
+// `count` stored profiles that pass the default rules but were rejected
+// under an older rule version
+function storeRejectedProfiles(profileStore, count) {
+    const { commendation, medals } = passingProfile();
+    for (let i = 0; i < count; i++) {
+        const steamId = String(76561198000000000n + BigInt(i));
+        profileStore.save({
+            steam_id: steamId,
+            username: 'harvester_1',
+            verdict: 'rejected',
+            filter_profile: 'default',
+            rule_version: 'old',
+            profile: { account_id: i + 1, commendations: commendation, medals: medals.display_items_defidx },
+            checked_at: new Date(Date.now() - i * 1000).toISOString()
+        });
+    }
+}
+
+afterEach(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    dirs = [];
+});
+
+test('saves in chunks, yields between them and caps the listed IDs', async () => {
+    const dir = tempDir();
+    const profileStore = new ProfileStore(dir);
+    const submitQueue = new QueueStore('filtered', dir);
+    storeRejectedProfiles(profileStore, 1200);
+
+    // Whether the event loop got a turn before each chunk was saved
+    let turns = 0;
+    const ticker = setInterval(() => turns++, 0);
+    const turnsAtSave = [];
+    const saveMany = profileStore.saveMany.bind(profileStore);
+    profileStore.saveMany = (records) => {
+        turnsAtSave.push(turns);
+        return saveMany(records);
+    };
+
+    let report;
+    try {
+        report = await reevaluateStoredProfiles({ profileStore, filterProfiles: loadFilterProfiles({}), submitQueue });
+    } finally {
+        clearInterval(ticker);
+    }
+
+    assert.equal(turnsAtSave.length, 3);
+    assert.ok(turnsAtSave[2] > turnsAtSave[0], 'no timers ran while the job was going');
+    assert.equal(report.newly_passed, 1200);
+    assert.equal(report.newly_passed_ids.length, 100);
+    assert.equal(report.ids_truncated, true);
+    assert.equal(report.queued, 1200);
+    assert.equal(submitQueue.size(), 1200);
+    assert.equal(profileStore.query({ verdict: 'passed' }).total, 1200);
+    assert.match(summarizeReevaluation(report), /1200 newly passed \(1200 queued for submission\)/);
+});
+
+test('leaves a profile alone that was fetched again while the job ran', async () => {
+    const dir = tempDir();
+    const profileStore = new ProfileStore(dir);
+    const submitQueue = new QueueStore('filtered', dir);
+    storeRejectedProfiles(profileStore, 600);
+    const lastId = profileStore.query({ limit: Infinity }).items[599].steam_id;
+
+    const job = reevaluateStoredProfiles({ profileStore, filterProfiles: loadFilterProfiles({}), submitQueue });
+    profileStore.save({ ...profileStore.get(lastId), verdict: 'rejected', rule_version: 'current', reason: 'Fetched again' });
+    const report = await job;
+
+    assert.equal(report.refetched_meanwhile, 1);
+    assert.equal(report.newly_passed, 599);
+    assert.equal(profileStore.get(lastId).reason, 'Fetched again');
+});
+
+test('a data directory lock is held only by a live process', () => {
+    const dir = tempDir();
+
+    acquireDataDirLock(dir);
+    assert.equal(readDataDirLock(dir), null); // This process's own lock
+
+    const lockFile = path.join(dir, 'service.lock');
+    const lock = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    fs.writeFileSync(lockFile, JSON.stringify({ ...lock, pid: process.ppid }));
+    assert.equal(readDataDirLock(dir).pid, process.ppid);
+    assert.throws(() => acquireDataDirLock(dir), /is in use by pid/);
+    assert.equal(readDataDirLock(dir).pid, process.ppid); // Not taken over
+
+    // Another host's lock is held until it stops being refreshed
+    const elsewhere = { ...lock, hostname: `not-${os.hostname()}` };
+    fs.writeFileSync(lockFile, JSON.stringify(elsewhere));
+    assert.equal(readDataDirLock(dir).hostname, elsewhere.hostname);
+    const staleAt = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+    fs.writeFileSync(lockFile, JSON.stringify({ ...elsewhere, updatedAt: staleAt }));
+    assert.equal(readDataDirLock(dir), null);
+
+    const exited = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockFile, JSON.stringify({ ...lock, pid: exited.pid }));
+    assert.equal(readDataDirLock(dir), null);
+
+    releaseDataDirLock(dir);
+    assert.equal(fs.existsSync(lockFile), true); // Not this process's to remove
+
+    acquireDataDirLock(dir);
+    releaseDataDirLock(dir);
+    assert.equal(fs.existsSync(lockFile), false);
+});
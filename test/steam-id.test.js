@@ -0,0 +1,23 @@
+// test/steam-id.test.js - Normalizing harvested identifiers to SteamID64
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSteamId } = require('../lib/steam-id');
+
+const STEAM_ID = '76561198000000001';
+
+test('normalizes the accepted formats to the same SteamID64', () => {
+    for (const input of [STEAM_ID, 'STEAM_0:1:19867136', '[U:1:39734273]', '39734273',
+        `https://steamcommunity.com/profiles/${STEAM_ID}/`, `steamcommunity.com/profiles/%37${STEAM_ID.slice(1)}`]) {
+        assert.equal(normalizeSteamId(input).steamId, STEAM_ID, input);
+    }
+});
+
+test('rejects a profile URL with a malformed percent-escape instead of throwing', () => {
+    const result = normalizeSteamId('https://steamcommunity.com/profiles/%E0%A4%A');
+
+    assert.deepEqual(result, {
+        steamId: null,
+        format: 'profile_url',
+        reason: 'Malformed percent-encoding in profile URL'
+    });
+});
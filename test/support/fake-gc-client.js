@@ -0,0 +1,221 @@
+// test/support/fake-gc-client.js - Scripted Steam/GC client for running the Filter Service offline
+const EventEmitter = require('events');
+
+// Helper functions
+function accountIdOf(steamId64) {
+    return Number(BigInt(steamId64) & 0xffffffffn);
+}
+
+// Profiles (without account_id) against the default filter rules
+function passingProfile() {
+    return {
+        commendation: { cmd_friendly: 3, cmd_teaching: 2, cmd_leader: 1 },
+        medals: { display_items_defidx: [874, 1331, 4850] }
+    };
+}
+
+function rejectedProfile() {
+    return {
+        commendation: { cmd_friendly: 120, cmd_teaching: 40, cmd_leader: 30 },
+        medals: { display_items_defidx: [874] }
+    };
+}
+
+// Implements the client interface in lib/gc-client.js without a network.
+// Logons succeed after `logOnDelay` unless failLogOn() scripted an error, and
+// launching CS2 connects to the GC after `gcConnectDelay` while the GC is
+// available. Each profile request takes the next scripted reply for its
+// Steam ID; the last one repeats:
+//   { profile, delay }    answer with `profile` after `delay` ms (default `latency`)
+//   { timeout: true }     never answer
+//   { disconnect: true }  drop the GC session instead of answering
+// IDs without a script are answered with `defaultProfile`.
+class FakeGcClient extends EventEmitter {
+    constructor({ latency = 0, logOnDelay = 0, gcConnectDelay = 0, defaultProfile = rejectedProfile } = {}) {
+        super();
+        this.latency = latency;
+        this.logOnDelay = logOnDelay;
+        this.gcConnectDelay = gcConnectDelay;
+        this.defaultProfile = defaultProfile;
+
+        this.loggedOn = false;
+        this.inGame = false;
+        this.gcConnected = false;
+        this.gcAvailable = true;
+
+        this.replies = new Map();  // steamId64 -> scripted replies
+        this.logOnErrors = [];
+        this.timers = new Set();
+
+        // What the code under test did
+        this.logOns = [];          // 'refresh-token' | 'password' | 'auto-relogin'
+        this.launches = 0;
+        this.requests = [];        // steamId64 of every profile request
+    }
+
+    // Scripting
+
+    reply(steamId64, ...replies) {
+        this.replies.set(String(steamId64), replies);
+        return this;
+    }
+
+    // The next logon fails with this EResult
+    failLogOn(eresult, message = `EResult ${eresult}`) {
+        this.logOnErrors.push({ eresult, message });
+        return this;
+    }
+
+    // While unavailable, launching CS2 never reaches the GC
+    setGcAvailable(available) {
+        this.gcAvailable = available;
+        if (available) {
+            this.connectGC();
+        }
+    }
+
+    // The GC drops the session; like globaloffensive, the client says hello
+    // again while still in game
+    disconnectGC(reason = 'NO_SESSION') {
+        if (!this.gcConnected) {
+            return;
+        }
+        this.gcConnected = false;
+        this.emit('disconnectedFromGC', reason);
+        this.connectGC();
+    }
+
+    // The Steam connection drops; like steam-user, the client logs on again
+    dropConnection(eresult = 3, message = 'NoConnection') {
+        if (!this.loggedOn) {
+            return;
+        }
+        this.clearTimers();
+        this.endSession();
+        this.emit('disconnected', eresult, message);
+        this.connect('auto-relogin');
+    }
+
+    // Cancel everything still scheduled; call once the test is done
+    close() {
+        this.clearTimers();
+    }
+
+    // Interface (see lib/gc-client.js)
+
+    logOn(details) {
+        this.connect(details.refreshToken ? 'refresh-token' : 'password');
+    }
+
+    logOff() {
+        const wasLoggedOn = this.loggedOn;
+        this.clearTimers();
+        this.endSession();
+        if (wasLoggedOn) {
+            this.emit('disconnected', 0, 'Logged off');
+        }
+    }
+
+    isLoggedOn() {
+        return this.loggedOn;
+    }
+
+    setOnline() {}
+
+    launchGame() {
+        this.launches++;
+        this.inGame = true;
+        this.connectGC();
+    }
+
+    quitGame() {
+        this.inGame = false;
+        this.gcConnected = false;
+    }
+
+    requestPlayersProfile(steamID) {
+        if (!steamID.isValid()) {
+            return false;
+        }
+
+        const steamId64 = steamID.getSteamID64();
+        this.requests.push(steamId64);
+
+        const reply = this.nextReply(steamId64);
+        if (reply.timeout) {
+            return;
+        }
+        if (reply.disconnect) {
+            this.disconnectGC();
+            return;
+        }
+        this.later(() => {
+            if (this.gcConnected) {
+                this.emit('playersProfile', { account_id: accountIdOf(steamId64), ...reply.profile });
+            }
+        }, reply.delay ?? this.latency);
+    }
+
+    // Internals
+
+    connect(kind) {
+        this.logOns.push(kind);
+        this.later(() => {
+            const failure = this.logOnErrors.shift();
+            if (failure) {
+                this.emit('error', Object.assign(new Error(failure.message), { eresult: failure.eresult }));
+                return;
+            }
+            this.loggedOn = true;
+            this.emit('loggedOn');
+        }, this.logOnDelay);
+    }
+
+    nextReply(steamId64) {
+        const replies = this.replies.get(steamId64);
+        if (!replies || replies.length === 0) {
+            return { profile: this.defaultProfile(steamId64) };
+        }
+        return replies.length > 1 ? replies.shift() : replies[0];
+    }
+
+    connectGC() {
+        this.later(() => {
+            if (this.inGame && this.gcAvailable && !this.gcConnected) {
+                this.gcConnected = true;
+                this.emit('connectedToGC');
+            }
+        }, this.gcConnectDelay);
+    }
+
+    endSession() {
+        if (this.gcConnected) {
+            this.gcConnected = false;
+            this.emit('disconnectedFromGC', 'NO_SESSION');
+        }
+        this.loggedOn = false;
+        this.inGame = false;
+    }
+
+    later(fn, ms) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+    }
+
+    clearTimers() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+module.exports = {
+    FakeGcClient,
+    passingProfile,
+    rejectedProfile,
+    accountIdOf
+};
@@ -0,0 +1,213 @@
+// test/support/fake-main-server.js - In-memory stand-in for the main server's link-harvester APIs
+const express = require('express');
+
+// Configuration
+const CONFIG = {
+    LINK_HARVESTER_API_KEY: 'test-link-harvester-key',
+    TRADEBOT_API_KEY: 'test-tradebot-key'
+};
+
+const PATHS = {
+    'filter-unique-steamids': '/en/links/api/filter-unique-steamids/',
+    'mark-steamid-processed': '/en/links/api/mark-steamid-processed/',
+    'add-steam-id-to-queue': '/en/links/api/add-steam-id-to-queue/'
+};
+
+// Implements the three endpoints the workers call, with the same request and
+// response shapes as the main server:
+//   filter-unique-steamids  { username: [ids] } -> the IDs it doesn't know yet
+//   mark-steamid-processed  records a filter outcome per Steam ID
+//   add-steam-id-to-queue   appends a passed ID to the trade queue
+// A Steam ID is known once it was seeded with addKnown(), marked processed or
+// queued. Idempotency-Key headers are honoured like the real server does:
+// a repeated key answers created/already_exists instead of adding twice.
+class FakeMainServer {
+    constructor({ linkHarvesterApiKey = CONFIG.LINK_HARVESTER_API_KEY, tradebotApiKey = CONFIG.TRADEBOT_API_KEY } = {}) {
+        this.apiKeys = {
+            'filter-unique-steamids': linkHarvesterApiKey,
+            'mark-steamid-processed': linkHarvesterApiKey,
+            'add-steam-id-to-queue': tradebotApiKey
+        };
+
+        this.known = new Set();       // Steam IDs already in the main database
+        this.processed = new Map();   // steam_id -> last mark-processed payload
+        this.queue = [];              // add-steam-id-to-queue payloads, in arrival order
+        this.requests = [];           // { api, body, headers, status } of every call
+        this.idempotencyKeys = new Set();
+        this.failures = {};           // api -> [{ times, status, body, delay, match }]
+
+        this.app = express();
+        this.app.use(express.json({ limit: '10mb' }));
+        for (const [api, route] of Object.entries(PATHS)) {
+            this.app.post(route, (req, res) => this.handle(api, req, res));
+        }
+        this.server = null;
+    }
+
+    // Lifecycle
+
+    // Listen on a free port; returns the base URL
+    start() {
+        return new Promise((resolve) => {
+            this.server = this.app.listen(0, '127.0.0.1', () => resolve(this.baseUrl()));
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+
+    baseUrl() {
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    // The config.json keys that point the workers at this server
+    config() {
+        return {
+            link_harvester_api_key: this.apiKeys['mark-steamid-processed'],
+            tradebot_api_key: this.apiKeys['add-steam-id-to-queue'],
+            uniqueness_check_api_url: this.baseUrl() + PATHS['filter-unique-steamids'],
+            mark_processed_api_url: this.baseUrl() + PATHS['mark-steamid-processed'],
+            api_endpoint: this.baseUrl() + PATHS['add-steam-id-to-queue']
+        };
+    }
+
+    // State and failure injection
+
+    addKnown(...steamIds) {
+        steamIds.flat().forEach(steamId => this.known.add(String(steamId)));
+        return this;
+    }
+
+    // The next `times` calls to `api` fail with `status` (after `delay` ms)
+    // instead of being handled. times: Infinity keeps it down until recover().
+    // With `match`, only calls whose request body it returns true for fail.
+    failNext(api, { times = 1, status = 503, body = { error: 'Service Unavailable' }, delay = 0, match = null } = {}) {
+        if (!PATHS[api]) {
+            throw new Error(`Unknown API: ${api}`);
+        }
+        (this.failures[api] = this.failures[api] || []).push({ times, status, body, delay, match });
+        return this;
+    }
+
+    recover(api) {
+        delete this.failures[api];
+        return this;
+    }
+
+    callsTo(api) {
+        return this.requests.filter(request => request.api === api);
+    }
+
+    queuedIds() {
+        return this.queue.map(entry => entry.steam_id);
+    }
+
+    // Internals
+
+    async handle(api, req, res) {
+        const request = { api, body: req.body, headers: req.headers, status: null };
+        this.requests.push(request);
+        const reply = (status, body) => {
+            request.status = status;
+            res.status(status).json(body);
+        };
+
+        const failure = this.takeFailure(api, req.body);
+        if (failure) {
+            if (failure.delay) {
+                await new Promise(resolve => setTimeout(resolve, failure.delay));
+            }
+            return reply(failure.status, failure.body);
+        }
+
+        if (req.headers['x-api-key'] !== this.apiKeys[api]) {
+            return reply(401, { error: 'Invalid API key' });
+        }
+
+        switch (api) {
+            case 'filter-unique-steamids':
+                return reply(200, this.filterUnique(req.body));
+            case 'mark-steamid-processed':
+                return reply(200, this.markProcessed(req.body, req.headers['idempotency-key']));
+            case 'add-steam-id-to-queue':
+                return reply(200, this.addToQueue(req.body, req.headers['idempotency-key']));
+        }
+    }
+
+    takeFailure(api, body) {
+        const pending = this.failures[api] || [];
+        const index = pending.findIndex(failure => !failure.match || failure.match(body));
+        if (index === -1) {
+            return null;
+        }
+        const failure = pending[index];
+        if (--failure.times <= 0) {
+            pending.splice(index, 1);
+        }
+        return failure;
+    }
+
+    filterUnique(body) {
+        const filtered = {};
+        let total = 0;
+        let unique = 0;
+
+        for (const [username, steamIds] of Object.entries(body || {})) {
+            filtered[username] = [];
+            for (const steamId of steamIds || []) {
+                total++;
+                if (!this.isKnown(String(steamId))) {
+                    filtered[username].push(steamId);
+                    unique++;
+                }
+            }
+        }
+
+        return {
+            success: true,
+            filtered_steamids: filtered,
+            stats: { total_input: total, unique_found: unique, already_exists: total - unique }
+        };
+    }
+
+    markProcessed(body, idempotencyKey) {
+        const created = !this.seenKey(idempotencyKey) && !this.processed.has(String(body.steam_id));
+        this.processed.set(String(body.steam_id), body);
+        return { success: true, created };
+    }
+
+    addToQueue(body, idempotencyKey) {
+        const alreadyExists = this.seenKey(idempotencyKey) || this.queuedIds().includes(String(body.steam_id));
+        if (!alreadyExists) {
+            this.queue.push({ ...body, steam_id: String(body.steam_id) });
+        }
+        return { success: true, already_exists: alreadyExists };
+    }
+
+    isKnown(steamId) {
+        return this.known.has(steamId) || this.processed.has(steamId) || this.queuedIds().includes(steamId);
+    }
+
+    // True if the key was used before; remembers it either way
+    seenKey(idempotencyKey) {
+        if (!idempotencyKey) {
+            return false;
+        }
+        const seen = this.idempotencyKeys.has(idempotencyKey);
+        this.idempotencyKeys.add(idempotencyKey);
+        return seen;
+    }
+}
+
+module.exports = {
+    FakeMainServer,
+    PATHS
+};
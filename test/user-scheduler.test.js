@@ -0,0 +1,185 @@
+// test/user-scheduler.test.js - Scheduling policies and priority lanes for claiming from a per-username queue
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QueueStore } = require('../lib/queue-store');
+const { UserScheduler, loadSchedulingSettings } = require('../lib/user-scheduler');
+const { loadPrioritySettings, resolvePriority } = require('../lib/priority-lanes');
+
+let dirs = [];
+
+// Helper functions
+
+// A queue holding `counts[username]` IDs per username, enqueued user by user
+function createQueue(counts) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-scheduler-test-'));
+    dirs.push(dir);
+    const queue = new QueueStore('unique', dir);
+    let steamId = 76561198000000000n;
+    for (const [username, count] of Object.entries(counts)) {
+        for (let i = 0; i < count; i++) {
+            queue.enqueue(username, String(steamId++));
+        }
+    }
+    return queue;
+}
+
+function claimUsernames(queue, scheduler, count) {
+    return Array.from({ length: count }, () => queue.claim(scheduler)?.username);
+}
+
+afterEach(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    dirs = [];
+});
+
+test('without a scheduler, drains the first username before the next', () => {
+    const queue = createQueue({ big: 5, small: 2 });
+    assert.deepEqual(claimUsernames(queue, null, 7), ['big', 'big', 'big', 'big', 'big', 'small', 'small']);
+});
+
+test('round-robin takes from each username in turn', () => {
+    const queue = createQueue({ big: 5, small: 2, other: 1 });
+    const scheduler = new UserScheduler({ policy: 'round-robin' });
+
+    assert.deepEqual(claimUsernames(queue, scheduler, 8),
+        ['big', 'small', 'other', 'big', 'small', 'big', 'big', 'big']);
+    assert.equal(queue.claim(scheduler), null);
+});
+
+test('round-robin serves a username that joins later on the next turn', () => {
+    const queue = createQueue({ big: 5 });
+    const scheduler = new UserScheduler();
+
+    assert.deepEqual(claimUsernames(queue, scheduler, 2), ['big', 'big']);
+    queue.enqueue('late', '76561198000009999');
+    assert.deepEqual(claimUsernames(queue, scheduler, 3), ['late', 'big', 'big']);
+});
+
+test('weighted gives each username turns in proportion to its weight', () => {
+    const queue = createQueue({ vip: 30, normal: 30 });
+    const scheduler = new UserScheduler({ policy: 'weighted', weights: { vip: 3 } });
+
+    const claimed = claimUsernames(queue, scheduler, 20);
+
+    assert.equal(claimed.filter(username => username === 'vip').length, 15);
+    assert.equal(claimed.filter(username => username === 'normal').length, 5);
+    // Spread out, not bunched: never more than 3 vip turns in a row
+    assert.ok(!claimed.join(',').includes('vip,vip,vip,vip'));
+});
+
+test('weighted serves a weight of 0 only when no one else waits', () => {
+    const queue = createQueue({ backfill: 2, normal: 2 });
+    const scheduler = new UserScheduler({ policy: 'weighted', weights: { backfill: 0 } });
+
+    assert.deepEqual(claimUsernames(queue, scheduler, 4), ['normal', 'normal', 'backfill', 'backfill']);
+});
+
+test('oldest-first follows arrival order across usernames', () => {
+    const queue = createQueue({});
+    queue.enqueue('a', '76561198000000001');
+    queue.enqueue('b', '76561198000000002');
+    queue.enqueue('a', '76561198000000003');
+    queue.enqueue('b', '76561198000000004');
+    // Same millisecond in a fast test; make the arrival times explicit
+    [...queue.items.values()].forEach((item, i) => { item.enqueuedAt = 1000 + i; });
+    const scheduler = new UserScheduler({ policy: 'oldest-first' });
+
+    assert.deepEqual(claimUsernames(queue, scheduler, 4), ['a', 'b', 'a', 'b']);
+});
+
+test('a released item goes back to the front of its username', () => {
+    const queue = createQueue({ a: 2, b: 2 });
+    const scheduler = new UserScheduler();
+
+    const first = queue.claim(scheduler);
+    queue.release(first.id);
+
+    const next = queue.claim(scheduler);
+    assert.equal(next.username, 'b');
+    assert.equal(queue.claim(scheduler).id, first.id);
+});
+
+test('reports depth, oldest wait and served counts per username', () => {
+    const queue = createQueue({ big: 3, small: 1 });
+    const scheduler = new UserScheduler({ policy: 'weighted', weights: { big: 2 } });
+    queue.claim(scheduler);
+
+    const stats = scheduler.getStats(queue.userStats());
+
+    assert.equal(stats.policy, 'weighted');
+    assert.equal(stats.users.big.depth, 3);
+    assert.equal(stats.users.big.claimed, 1);
+    assert.equal(stats.users.big.weight, 2);
+    assert.equal(stats.users.big.served, 1);
+    assert.equal(stats.users.small.served, 0);
+    assert.equal(stats.users.small.avgWaitSeconds, null);
+    assert.equal(typeof stats.users.small.oldestWaitSeconds, 'number');
+});
+
+test('reads the policy from config.json, with a per-worker override', () => {
+    const userConfig = {
+        scheduling: { policy: 'weighted', weights: { vip: 3 } },
+        submitter: { scheduling: { policy: 'oldest-first' } }
+    };
+
+    assert.deepEqual(loadSchedulingSettings(userConfig, 'filter_service'),
+        { policy: 'weighted', weights: { vip: 3 }, defaultWeight: 1, lowerLaneShare: 10 });
+    assert.equal(loadSchedulingSettings(userConfig, 'submitter').policy, 'oldest-first');
+    assert.equal(loadSchedulingSettings({}, 'submitter').policy, 'round-robin');
+    assert.throws(() => loadSchedulingSettings({ scheduling: { policy: 'lottery' } }, 'submitter'),
+        /Unknown scheduling policy "lottery"/);
+});
+
+test('claims from the highest priority lane first, with or without a scheduler', () => {
+    const queue = createQueue({ backlog: 3 });
+    queue.enqueue('hot_list', '76561198000009001', { priority: 10, lane: 'high' });
+    queue.enqueue('cold', '76561198000009002', { priority: -10, lane: 'low' });
+
+    assert.equal(queue.topPriority(), 10);
+    assert.equal(queue.claim().username, 'hot_list');
+    assert.equal(queue.claim(new UserScheduler()).username, 'backlog');
+    assert.deepEqual(queue.laneStats()['-10'].lane, 'low');
+    assert.equal(queue.laneStats()['0'].depth, 3);
+});
+
+test('gives lower lanes a share of the claims so they are never starved', () => {
+    const queue = createQueue({ backlog: 10 });
+    for (let i = 0; i < 20; i++) {
+        queue.enqueue('hot_list', String(76561198000009100n + BigInt(i)), { priority: 10 });
+    }
+    const scheduler = new UserScheduler({ lowerLaneShare: 4 });
+
+    const claimed = claimUsernames(queue, scheduler, 12);
+
+    assert.deepEqual(claimed, [
+        'hot_list', 'hot_list', 'hot_list', 'backlog',
+        'hot_list', 'hot_list', 'hot_list', 'backlog',
+        'hot_list', 'hot_list', 'hot_list', 'backlog'
+    ]);
+    assert.equal(scheduler.getStats().lowerLaneClaims, 3);
+});
+
+test('keeps an item in its lane after a failed attempt and a restart', () => {
+    const queue = createQueue({ backlog: 2 });
+    queue.enqueue('hot_list', '76561198000009001', { priority: 10 });
+    const hot = queue.claim();
+    assert.equal(hot.username, 'hot_list');
+    queue.nack(hot.id, 'Timeout');
+
+    const reopened = new QueueStore('unique', dirs[dirs.length - 1]);
+    assert.equal(reopened.claim().username, 'hot_list');
+});
+
+test('resolves a lane name or an integer priority', () => {
+    const { lanes, lowerLaneShare } = loadPrioritySettings({});
+
+    assert.equal(lowerLaneShare, 10);
+    assert.deepEqual(resolvePriority('high', lanes), { priority: 10, lane: 'high' });
+    assert.deepEqual(resolvePriority(' 5 ', lanes), { priority: 5, lane: null });
+    assert.deepEqual(resolvePriority('-10', lanes), { priority: -10, lane: 'low' });
+    assert.match(resolvePriority('urgent', lanes).error, /Unknown priority "urgent"/);
+    assert.throws(() => loadPrioritySettings({ priority_lanes: { lower_lane_share: 1 } }), /lower_lane_share/);
+});
@@ -1,17 +1,22 @@
 // workers/filter-service.js - Render version
-const SteamUser = require('steam-user');
-const SteamTotp = require('steam-totp');
-const GlobalOffensive = require('globaloffensive');
-const SteamID = require('steamid');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const { QUEUES, openQueue } = require('../lib/queue-store');
+const { openSeenCache } = require('../lib/seen-cache');
+const { openProfileStore } = require('../lib/profile-store');
+const { loadFilterProfiles } = require('../lib/filter-rules');
+const SteamAccount = require('../lib/steam-account');
+const VerdictCache = require('../lib/verdict-cache');
+const { openOutbox } = require('../lib/outbox');
+const { UserScheduler, loadSchedulingSettings } = require('../lib/user-scheduler');
+const { laneMeta } = require('../lib/priority-lanes');
 
 // Configuration - More human-like timings
 const CONFIG = {
-    STEAMIDS_PATH: path.join(__dirname, '../steam_ids_unique.json'),
-    FILTERED_STEAMIDS_PATH: path.join(__dirname, '../steam_ids_filtered.json'),
+    QUEUE_DIR: path.join(__dirname, '../data'),
+    ROOT_DIR: path.join(__dirname, '..'),
     MAFILE_PATH: path.join(__dirname, '../steamauth.maFile'),
     CONFIG_PATH: path.join(__dirname, '../config.json'),
     
@@ -28,7 +33,9 @@ const CONFIG = {
     EMPTY_QUEUE_DELAY: 10000,       // 10 seconds when queue is empty
     ERROR_DELAY: 45000,             // 45 seconds after errors
     MAX_RETRIES: 3,                 // Max retries for a single SteamID
+    MAX_TOTAL_ATTEMPTS: 5,          // Failed processing rounds before an ID is dead-lettered
     REQUEST_TIMEOUT: 20000,         // 20 seconds timeout for GC requests
+    GC_CONCURRENCY: 1,              // Outstanding GC profile requests per account
     
     // Break system
     REQUESTS_BEFORE_BREAK_MIN: 60,  // Minimum requests before taking a break
@@ -38,7 +45,36 @@ const CONFIG = {
     
     // Health monitoring
     MAX_CONSECUTIVE_TIMEOUTS: 5,    // Max timeouts before long break
+    MAX_PENDING_LOOKUPS: 100,       // On-demand profile lookups waiting for the GC
     TIMEOUT_RECOVERY_BREAK: 300000, // 5 minutes break after too many timeouts
+    
+    // Account pool
+    MAX_ACCOUNT_FAILURES: 15,       // Consecutive failures before an account leaves rotation
+    ACCOUNT_COOLDOWN: 1800000,      // 30 minutes out of rotation
+    
+    // Reconnection (see lib/connection-state.js for the per-EResult policies)
+    RECONNECT_DELAY_MIN: 5000,      // First reconnect after 5 seconds...
+    RECONNECT_DELAY_MAX: 900000,    // ...doubling up to 15 minutes
+    RECONNECT_JITTER: 0.3,          // Each wait is the backoff ± 30%
+    GC_CONNECT_TIMEOUT: 60000,      // 60 seconds for the GC to answer after launching CS2
+    MAX_GC_RELAUNCHES: 3,           // CS2 relaunches before logging into Steam again
+    
+    // Adaptive pacing: replaces the fixed PROCESSING_DELAY range when enabled
+    ADAPTIVE_PACING: true,
+    PACING_FLOOR: null,             // Shortest delay (null = PROCESSING_DELAY_MIN)
+    PACING_CEILING: 60000,          // 60 seconds longest delay
+    PACING_DECREASE_STEP: 50,       // Delay shortened by 50 ms per healthy response
+    PACING_BACKOFF_FACTOR: 2,       // Delay multiplied on a timeout or empty profile
+    PACING_JITTER: 0.25,            // Each wait is the current delay ± 25%
+    
+    // Daily schedule (see lib/activity-schedule.js and lib/request-budget.js)
+    ACTIVE_HOURS: null,             // { timezone, jitter_minutes, windows: [...] }; null = always
+    REQUEST_BUDGET: null,           // { daily, hourly } GC requests; null = unlimited
+    
+    // Verdict cache: answer IDs fetched recently from the profile store
+    VERDICT_CACHE_ENABLED: true,
+    VERDICT_CACHE_TTL: 30 * 24 * 60 * 60 * 1000, // Fetch profiles again after 30 days
+    VERDICT_CACHE_REEVALUATE: true, // Apply the current rules to the cached profile
 };
 
 // Helper functions
@@ -46,20 +82,113 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function getRandomDelay(min, max) {
-    return min + Math.random() * (max - min);
+// Apply "filter_service" settings (seconds) on top of a config (ms). Used for
+// the service-wide settings and for per-account overrides.
+function applyFilterServiceSettings(base, settings = {}) {
+    const pacing = settings.adaptive_pacing || {};
+    return {
+        ...base,
+        PROCESSING_DELAY_MIN: (settings.processing_delay_min || base.PROCESSING_DELAY_MIN / 1000) * 1000,
+        PROCESSING_DELAY_MAX: (settings.processing_delay_max || base.PROCESSING_DELAY_MAX / 1000) * 1000,
+        LOGIN_TO_GAME_DELAY_MIN: (settings.login_to_game_delay_min || base.LOGIN_TO_GAME_DELAY_MIN / 1000) * 1000,
+        LOGIN_TO_GAME_DELAY_MAX: (settings.login_to_game_delay_max || base.LOGIN_TO_GAME_DELAY_MAX / 1000) * 1000,
+        EMPTY_QUEUE_DELAY: (settings.empty_queue_delay || base.EMPTY_QUEUE_DELAY / 1000) * 1000,
+        ERROR_DELAY: (settings.error_delay || base.ERROR_DELAY / 1000) * 1000,
+        MAX_RETRIES: settings.max_retries || base.MAX_RETRIES,
+        MAX_TOTAL_ATTEMPTS: settings.max_total_attempts || base.MAX_TOTAL_ATTEMPTS,
+        REQUEST_TIMEOUT: (settings.request_timeout || base.REQUEST_TIMEOUT / 1000) * 1000,
+        GC_CONCURRENCY: settings.gc_concurrency || base.GC_CONCURRENCY,
+        REQUESTS_BEFORE_BREAK_MIN: settings.requests_before_break_min || base.REQUESTS_BEFORE_BREAK_MIN,
+        REQUESTS_BEFORE_BREAK_MAX: settings.requests_before_break_max || base.REQUESTS_BEFORE_BREAK_MAX,
+        BREAK_DURATION_MIN: (settings.break_duration_min || base.BREAK_DURATION_MIN / 1000) * 1000,
+        BREAK_DURATION_MAX: (settings.break_duration_max || base.BREAK_DURATION_MAX / 1000) * 1000,
+        MAX_CONSECUTIVE_TIMEOUTS: settings.max_consecutive_timeouts || base.MAX_CONSECUTIVE_TIMEOUTS,
+        TIMEOUT_RECOVERY_BREAK: (settings.timeout_recovery_break || base.TIMEOUT_RECOVERY_BREAK / 1000) * 1000,
+        MAX_ACCOUNT_FAILURES: settings.max_account_failures || base.MAX_ACCOUNT_FAILURES,
+        ACCOUNT_COOLDOWN: (settings.account_cooldown || base.ACCOUNT_COOLDOWN / 1000) * 1000,
+        RECONNECT_DELAY_MIN: (settings.reconnect_delay_min || base.RECONNECT_DELAY_MIN / 1000) * 1000,
+        RECONNECT_DELAY_MAX: (settings.reconnect_delay_max || base.RECONNECT_DELAY_MAX / 1000) * 1000,
+        RECONNECT_JITTER: settings.reconnect_jitter !== undefined ? settings.reconnect_jitter : base.RECONNECT_JITTER,
+        GC_CONNECT_TIMEOUT: (settings.gc_connect_timeout || base.GC_CONNECT_TIMEOUT / 1000) * 1000,
+        MAX_GC_RELAUNCHES: settings.max_gc_relaunches ?? base.MAX_GC_RELAUNCHES,
+        ADAPTIVE_PACING: pacing.enabled !== undefined ? pacing.enabled !== false : base.ADAPTIVE_PACING,
+        PACING_FLOOR: pacing.floor !== undefined ? pacing.floor * 1000 : base.PACING_FLOOR,
+        PACING_CEILING: (pacing.ceiling || base.PACING_CEILING / 1000) * 1000,
+        PACING_DECREASE_STEP: (pacing.decrease_step || base.PACING_DECREASE_STEP / 1000) * 1000,
+        PACING_BACKOFF_FACTOR: pacing.backoff_factor || base.PACING_BACKOFF_FACTOR,
+        PACING_JITTER: pacing.jitter !== undefined ? pacing.jitter : base.PACING_JITTER,
+        ACTIVE_HOURS: settings.active_hours || base.ACTIVE_HOURS,
+        REQUEST_BUDGET: settings.request_budget || base.REQUEST_BUDGET
+    };
+}
+
+// "steam_accounts" in config.json, or the single legacy account
+// (steam_username / steam_password with steamauth.maFile)
+function loadAccountSettings(userConfig, config) {
+    if (Array.isArray(userConfig.steam_accounts) && userConfig.steam_accounts.length > 0) {
+        return userConfig.steam_accounts.map((account, index) => {
+            if (!account.username || !account.password) {
+                throw new Error(`steam_accounts[${index}] needs a username and password`);
+            }
+            return {
+                username: account.username,
+                password: account.password,
+                maFilePath: path.resolve(CONFIG.ROOT_DIR, account.mafile || `${account.username}.maFile`),
+                config: applyFilterServiceSettings(config, account.filter_service)
+            };
+        });
+    }
+    
+    if (!userConfig.steam_username || !userConfig.steam_password) {
+        throw new Error('steam_accounts, or steam_username and steam_password, are required in config.json');
+    }
+    
+    return [{
+        username: userConfig.steam_username,
+        password: userConfig.steam_password,
+        maFilePath: CONFIG.MAFILE_PATH,
+        config: config
+    }];
+}
+
+// What mark-processed reports for an ID that was checked, from a cached or
+// fresh processing result
+function checkedOutcome(processResult) {
+    const { profileData } = processResult;
+    return {
+        outcome: processResult.passedChecks ? 'passed' : 'rejected',
+        reason: processResult.filterReason,
+        detail: processResult.filterDetail,
+        filter_profile: processResult.filterProfile,
+        rule_version: processResult.ruleVersion,
+        profile: {
+            account_id: profileData.account_id,
+            commendations: profileData.commendations,
+            medals: profileData.medals
+        }
+    };
+}
+
+// What mark-processed reports for a dead-lettered ID that was discarded
+function errorOutcome(error) {
+    return {
+        outcome: 'error',
+        reason: error.message,
+        detail: null,
+        filter_profile: null,
+        rule_version: null,
+        profile: null
+    };
 }
 
 // Django API helper functions
-async function markSteamIdProcessed(steamID, config) {
+async function markSteamIdProcessed(payload, idempotencyKey, config) {
     return new Promise((resolve, reject) => {
         const url = new URL(config.DJANGO_API_URL);
         const isHttps = url.protocol === 'https:';
         const httpModule = isHttps ? https : http;
         
-        const postData = JSON.stringify({
-            steam_id: steamID.toString()
-        });
+        const postData = JSON.stringify(payload);
         
         const options = {
             hostname: url.hostname,
@@ -69,7 +198,8 @@ async function markSteamIdProcessed(steamID, config) {
             headers: {
                 'Content-Type': 'application/json',
                 'Content-Length': Buffer.byteLength(postData),
-                'X-API-Key': config.API_KEY
+                'X-API-Key': config.API_KEY,
+                'Idempotency-Key': idempotencyKey
             },
             timeout: 10000
         };
@@ -87,7 +217,9 @@ async function markSteamIdProcessed(steamID, config) {
                         const response = JSON.parse(data);
                         resolve(response);
                     } else {
-                        reject(new Error(`API returned status ${res.statusCode}: ${data}`));
+                        const error = new Error(`API returned status ${res.statusCode}: ${data}`);
+                        error.statusCode = res.statusCode;
+                        reject(error);
                     }
                 } catch (err) {
                     reject(new Error(`Failed to parse API response: ${err.message}`));
@@ -109,90 +241,59 @@ async function markSteamIdProcessed(steamID, config) {
     });
 }
 
-async function markSteamIdProcessedWithRetries(steamID, config, maxRetries = 3) {
-    let lastError;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const response = await markSteamIdProcessed(steamID, config);
-            
-            if (response.success) {
-                if (response.created) {
-                    console.log(`[FILTER] ✅ Marked ${steamID} as processed in database`);
-                } else {
-                    console.log(`[FILTER] ℹ️ ${steamID} was already marked as processed`);
-                }
-                return true;
-            } else {
-                throw new Error(response.error || 'Unknown API error');
-            }
-        } catch (err) {
-            lastError = err;
-            console.error(`[FILTER] Failed to mark ${steamID} as processed (attempt ${attempt}): ${err.message}`);
-            
-            if (attempt < maxRetries) {
-                await delay(2000);
-            }
-        }
-    }
-    
-    console.error(`[FILTER] ❌ Failed to mark ${steamID} as processed after ${maxRetries} attempts: ${lastError.message}`);
-    return false;
-}
-
 // Main worker class
 class FilterService {
-    constructor() {
-        this.steamClient = new SteamUser();
-        this.csgo = new GlobalOffensive(this.steamClient);
-        this.config = this.loadConfig();
-        this.maFile = this.loadMaFile();
+    // options:
+    //   configPath    config.json to read
+    //   dataDir       where the queues and stores live
+    //   createClient  (account settings) => Steam/GC client for that account
+    //                 (see lib/gc-client.js); defaults to a real Steam client
+    constructor({ configPath = CONFIG.CONFIG_PATH, dataDir = CONFIG.QUEUE_DIR, createClient = null } = {}) {
+        this.config = this.loadConfig(configPath, dataDir);
+        this.accounts = this.config.accounts.map(settings =>
+            new SteamAccount(settings, settings.config, createClient ? createClient(settings) : undefined));
+        this.inputQueue = openQueue(QUEUES.UNIQUE, this.config.QUEUE_DIR);
+        this.outputQueue = openQueue(QUEUES.FILTERED, this.config.QUEUE_DIR);
+        this.deadLetterQueue = openQueue(QUEUES.DEAD_LETTER, this.config.QUEUE_DIR);
+        this.seenCache = openSeenCache(this.config.QUEUE_DIR);
+        this.profileStore = openProfileStore(this.config.QUEUE_DIR);
+        this.outbox = openOutbox(this.config.QUEUE_DIR);
+        this.scheduler = new UserScheduler(this.config.scheduling);
+        this.verdictCache = this.config.VERDICT_CACHE_ENABLED ? new VerdictCache(this.profileStore, {
+            ttl: this.config.VERDICT_CACHE_TTL,
+            reevaluate: this.config.VERDICT_CACHE_REEVALUATE
+        }) : null;
         this.running = false;
-        this.processingActive = false;
-        this.currentSteamID = null;
+        this.pendingLookups = new Set(); // Steam IDs requested via the explain endpoint
+        this.activeLookups = new Set();  // Of those, the ones being fetched right now
         this.setupEventHandlers();
-        this.failureStats = {};
-        
-        // Human-like behavior tracking
-        this.requestCount = 0;
-        this.lastBreakTime = Date.now();
-        this.consecutiveTimeouts = 0;
-        this.lastSuccessTime = Date.now();
-        this.nextBreakAfter = this.calculateNextBreakPoint();
     }
 
-    loadConfig() {
+    loadConfig(configPath, dataDir) {
         try {
-            let config = { ...CONFIG }; // Start with defaults
+            let config = { ...CONFIG, QUEUE_DIR: dataDir }; // Start with defaults
             
-            if (fs.existsSync(CONFIG.CONFIG_PATH)) {
-                const userConfig = JSON.parse(fs.readFileSync(CONFIG.CONFIG_PATH, 'utf8'));
+            if (fs.existsSync(configPath)) {
+                const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                
+                // Override filter service settings if present
+                config = applyFilterServiceSettings(config, userConfig.filter_service);
                 
-                // Load Steam credentials
-                config.steam_username = userConfig.steam_username;
-                config.steam_password = userConfig.steam_password;
+                // Load Steam accounts (each may override the timing settings)
+                config.accounts = loadAccountSettings(userConfig, config);
                 
-                if (!config.steam_username || !config.steam_password) {
-                    throw new Error('steam_username and steam_password are required in config.json');
-                }
+                // Load filter profiles (the default one comes from config.json,
+                // filter_rules.json or the built-in rules)
+                config.filterProfiles = loadFilterProfiles(userConfig);
                 
-                // Override filter service settings if present
-                if (userConfig.filter_service) {
-                    const fs = userConfig.filter_service;
-                    config.PROCESSING_DELAY_MIN = (fs.processing_delay_min || CONFIG.PROCESSING_DELAY_MIN / 1000) * 1000;
-                    config.PROCESSING_DELAY_MAX = (fs.processing_delay_max || CONFIG.PROCESSING_DELAY_MAX / 1000) * 1000;
-                    config.LOGIN_TO_GAME_DELAY_MIN = (fs.login_to_game_delay_min || CONFIG.LOGIN_TO_GAME_DELAY_MIN / 1000) * 1000;
-                    config.LOGIN_TO_GAME_DELAY_MAX = (fs.login_to_game_delay_max || CONFIG.LOGIN_TO_GAME_DELAY_MAX / 1000) * 1000;
-                    config.EMPTY_QUEUE_DELAY = (fs.empty_queue_delay || CONFIG.EMPTY_QUEUE_DELAY / 1000) * 1000;
-                    config.ERROR_DELAY = (fs.error_delay || CONFIG.ERROR_DELAY / 1000) * 1000;
-                    config.MAX_RETRIES = fs.max_retries || CONFIG.MAX_RETRIES;
-                    config.REQUEST_TIMEOUT = (fs.request_timeout || CONFIG.REQUEST_TIMEOUT / 1000) * 1000;
-                    config.REQUESTS_BEFORE_BREAK_MIN = fs.requests_before_break_min || CONFIG.REQUESTS_BEFORE_BREAK_MIN;
-                    config.REQUESTS_BEFORE_BREAK_MAX = fs.requests_before_break_max || CONFIG.REQUESTS_BEFORE_BREAK_MAX;
-                    config.BREAK_DURATION_MIN = (fs.break_duration_min || CONFIG.BREAK_DURATION_MIN / 1000) * 1000;
-                    config.BREAK_DURATION_MAX = (fs.break_duration_max || CONFIG.BREAK_DURATION_MAX / 1000) * 1000;
-                    config.MAX_CONSECUTIVE_TIMEOUTS = fs.max_consecutive_timeouts || CONFIG.MAX_CONSECUTIVE_TIMEOUTS;
-                    config.TIMEOUT_RECOVERY_BREAK = (fs.timeout_recovery_break || CONFIG.TIMEOUT_RECOVERY_BREAK / 1000) * 1000;
+                // Which username the next Steam ID is taken from
+                config.scheduling = loadSchedulingSettings(userConfig, 'filter_service');
+                
+                if (userConfig.verdict_cache) {
+                    const vc = userConfig.verdict_cache;
+                    config.VERDICT_CACHE_ENABLED = vc.enabled !== false;
+                    config.VERDICT_CACHE_TTL = (vc.ttl_days ?? CONFIG.VERDICT_CACHE_TTL / 86400000) * 86400000;
+                    config.VERDICT_CACHE_REEVALUATE = vc.reevaluate !== false;
                 }
                 
                 // Load API settings from root config
@@ -213,119 +314,12 @@ class FilterService {
         }
     }
 
-    loadMaFile() {
-        try {
-            if (fs.existsSync(CONFIG.MAFILE_PATH)) {
-                return JSON.parse(fs.readFileSync(CONFIG.MAFILE_PATH, 'utf8'));
-            }
-            console.log('[FILTER] ⚠️ steamauth.maFile not found - 2FA codes will not be available');
-            return null;
-        } catch (err) {
-            console.error(`[FILTER] Error loading .maFile: ${err.message}`);
-            return null;
-        }
-    }
-
-    generateAuthCode() {
-        if (this.maFile?.shared_secret) {
-            try {
-                return SteamTotp.generateAuthCode(this.maFile.shared_secret);
-            } catch (err) {
-                console.error(`[FILTER] Error generating auth code: ${err.message}`);
-            }
-        }
-        return null;
-    }
-
-    calculateNextBreakPoint() {
-        return this.config.REQUESTS_BEFORE_BREAK_MIN + 
-               Math.floor(Math.random() * (this.config.REQUESTS_BEFORE_BREAK_MAX - this.config.REQUESTS_BEFORE_BREAK_MIN));
-    }
-
     setupEventHandlers() {
-        this.steamClient.on('error', (err) => {
-            console.error(`[FILTER] Steam error: ${err.message}`);
-            this.reconnect();
-        });
-
-        this.steamClient.on('loggedOn', () => {
-            console.log('[FILTER] ✅ Logged into Steam! Waiting before launching CS2...');
-            this.steamClient.setPersona(SteamUser.EPersonaState.Online);
-            
-            const gameDelay = getRandomDelay(this.config.LOGIN_TO_GAME_DELAY_MIN, this.config.LOGIN_TO_GAME_DELAY_MAX);
-            console.log(`[FILTER] ⏳ Waiting ${Math.round(gameDelay/1000)} seconds before launching CS2...`);
-            
-            setTimeout(() => {
-                console.log('[FILTER] 🎮 Launching CS2...');
-                this.steamClient.gamesPlayed([730]);
-            }, gameDelay);
-        });
-
-        this.csgo.on('connectedToGC', () => {
-            console.log('[FILTER] ✅ Connected to CS2 Game Coordinator!');
-            this.consecutiveTimeouts = 0;
-            this.startProcessing();
-        });
-
-        this.csgo.on('disconnectedFromGC', (reason) => {
-            console.error(`[FILTER] Disconnected from GC: ${reason}. Reconnecting...`);
-            this.processingActive = false;
-            this.reconnectToGC();
-        });
-    }
-
-    async reconnect() {
-        console.log('[FILTER] 🔄 Attempting to reconnect to Steam...');
-        try {
-            this.processingActive = false;
-            await this.steamClient.logOff();
-            await delay(5000);
-            
-            // Check if we can generate 2FA before attempting login
-            const testAuthCode = this.generateAuthCode();
-            if (!testAuthCode) {
-                console.error('[FILTER] ❌ Cannot generate 2FA code for reconnection - stopping reconnection attempts');
-                return;
-            }
-            
-            this.login();
-        } catch (err) {
-            console.error(`[FILTER] Reconnect failed: ${err.message}. Retrying in 30 seconds...`);
-            await delay(30000);
-            this.reconnect();
+        for (const account of this.accounts) {
+            account.on('gcReady', () => this.startProcessing(account));
         }
     }
 
-    reconnectToGC() {
-        if (this.steamClient.steamID) {
-            console.log('[FILTER] 🔄 Attempting to reconnect to GC...');
-            setTimeout(() => {
-                this.steamClient.gamesPlayed([730]);
-            }, 5000);
-        }
-    }
-
-    login() {
-        const loginOptions = {
-            accountName: this.config.steam_username,
-            password: this.config.steam_password,
-            rememberPassword: true // Reduce future 2FA requests
-        };
-
-        const authCode = this.generateAuthCode();
-        if (authCode) {
-            loginOptions.twoFactorCode = authCode;
-            console.log(`[FILTER] 🔐 Logging into Steam as ${this.config.steam_username} with 2FA...`);
-        } else {
-            console.error(`[FILTER] ❌ Cannot generate 2FA code - maFile missing or invalid`);
-            console.error(`[FILTER] ❌ Service cannot continue without automated 2FA`);
-            // Don't attempt login without 2FA - this would trigger manual prompt
-            return;
-        }
-
-        this.steamClient.logOn(loginOptions);
-    }
-
     start() {
         if (this.running) {
             console.log('[FILTER] Worker is already running');
@@ -333,191 +327,292 @@ class FilterService {
         }
         
         this.running = true;
-        console.log('[FILTER] 🎮 Starting Steam ID Filter Service Worker');
+        console.log(`[FILTER] 🎮 Starting Steam ID Filter Service Worker with ${this.accounts.length} Steam account(s)`);
         console.log(`[FILTER] Delays: ${this.config.PROCESSING_DELAY_MIN/1000}-${this.config.PROCESSING_DELAY_MAX/1000}s, breaks every ${this.config.REQUESTS_BEFORE_BREAK_MIN}-${this.config.REQUESTS_BEFORE_BREAK_MAX} requests`);
         console.log(`[FILTER] Django API: ${this.config.DJANGO_API_URL}`);
+        for (const name of this.config.filterProfiles.names()) {
+            const ruleSet = this.config.filterProfiles.get(name);
+            console.log(`[FILTER] Filter profile "${name}": ${ruleSet.rules.length} rules from ${ruleSet.source}`);
+        }
         
-        this.login();
+        this.outbox.register('mark_processed', (payload, key) => this.deliverMarkProcessed(payload, key));
+        this.accounts.forEach(account => account.start());
     }
 
-    startProcessing() {
-        if (this.processingActive) return;
-        this.processingActive = true;
-        console.log('[FILTER] 🚀 Starting to process Steam IDs with human-like behavior...');
-        this.processQueue();
+    // GC_CONCURRENCY processing loops ("lanes") per GC-connected account; all
+    // loops claim from the same queue, so work is spread across whichever
+    // accounts are available and each account keeps up to GC_CONCURRENCY
+    // requests in flight
+    startProcessing(account) {
+        if (!this.running) return;
+        const lanes = account.config.GC_CONCURRENCY - account.activeLanes;
+        if (lanes <= 0) return;
+
+        account.log(`🚀 Starting to process Steam IDs with human-like behavior (${account.config.GC_CONCURRENCY} concurrent request(s))...`);
+        for (let i = 0; i < lanes; i++) {
+            account.activeLanes++;
+            this.processQueue(account).finally(() => {
+                account.activeLanes--;
+            });
+        }
     }
 
-    async processQueue() {
-        while (this.running && this.processingActive) {
+    async processQueue(account) {
+        let current = null;
+        // Returns the lane's item unless stop() already did
+        const release = async () => {
+            if (current && account.currentItems.delete(current.itemId)) {
+                await this.returnToQueue(current.itemId);
+            }
+            current = null;
+        };
+
+        while (this.running && account.isAvailable()) {
             try {
-                // Check if we need to take a break
-                if (this.requestCount >= this.nextBreakAfter) {
-                    await this.takeScheduledBreak();
+                // Scheduled and timeout-recovery breaks are per account
+                await account.takeBreakIfDue();
+                if (!this.running || !account.isAvailable()) {
+                    break;
                 }
 
-                // Check for timeout recovery break
-                if (this.consecutiveTimeouts >= this.config.MAX_CONSECUTIVE_TIMEOUTS) {
-                    await this.takeTimeoutRecoveryBreak();
+                // On-demand lookups jump the queue but are paced like any other request
+                const lookupID = this.takePendingLookup();
+                if (lookupID) {
+                    await this.processLookup(account, lookupID);
+                    await account.waitBeforeNextRequest();
+                    continue;
                 }
 
                 const result = await this.getNextSteamID();
                 if (!result) {
-                    await delay(this.config.EMPTY_QUEUE_DELAY);
+                    await delay(account.config.EMPTY_QUEUE_DELAY);
                     continue;
                 }
         
-                const { steamID, username } = result;
-                this.currentSteamID = { steamID, username };
+                const { steamID, username, itemId, source, lane } = result;
+                current = { steamID, username, itemId };
+                account.currentItems.set(itemId, current);
                 
-                const processResult = await this.processSteamIDWithRetries(steamID, this.config.MAX_RETRIES);
+                const filterProfile = this.config.filterProfiles.resolve({ username, source });
+                const processResult = await this.processSteamIDWithRetries(account, steamID, account.config.MAX_RETRIES, filterProfile);
+                
+                // stop() hands in-flight items back to the queue, where another
+                // run may already have claimed it again; the result is dropped
+                // and the item is checked by whoever holds it now
+                if (!account.currentItems.has(itemId)) {
+                    account.log(`🔄 ${steamID} was returned to the queue while it was being checked, dropping the result`);
+                    current = null;
+                    continue;
+                }
         
-                if (!processResult.success) {
-                    await this.returnToQueue(steamID, username);
-                    console.error(`[FILTER] ❌ Returned ${steamID} to queue after ${this.config.MAX_RETRIES} failures`);
-                    
-                    if (!this.failureStats[steamID]) {
-                        this.failureStats[steamID] = { count: 0, errors: [] };
-                    }
-                    this.failureStats[steamID].count++;
-                    this.failureStats[steamID].errors.push(processResult.error.message);
-                    
-                    if (processResult.error.message.includes('Timeout')) {
-                        this.consecutiveTimeouts++;
-                    }
+                if (processResult.released) {
+                    await release();
+                } else if (!processResult.success) {
+                    await this.recordFailure(itemId, processResult.error, account);
+                } else {
+                    this.markProcessed(steamID, checkedOutcome(processResult));
+                    this.saveProfileResult(username, processResult, account);
                     
-                    if (this.failureStats[steamID].count % 5 === 0) {
-                        console.error(`[FILTER] ⚠️ ${steamID}: Total failures: ${this.failureStats[steamID].count}`);
+                    if (processResult.passedChecks) {
+                        await this.addToFilteredIDs(steamID, username, {
+                            filter_profile: processResult.filterProfile,
+                            source: source,
+                            ...lane
+                        });
                     }
-                } else if (processResult.passedChecks) {
-                    await this.addToFilteredIDs(steamID, username);
-                    this.consecutiveTimeouts = 0;
-                    this.lastSuccessTime = Date.now();
+                    this.inputQueue.ack(itemId);
                 }
                 
-                this.currentSteamID = null;
-                this.requestCount++;
-        
-                const processingDelay = getRandomDelay(this.config.PROCESSING_DELAY_MIN, this.config.PROCESSING_DELAY_MAX);
-                console.log(`[FILTER] ⏳ Waiting ${Math.round(processingDelay/1000)}s before next request...`);
-                await delay(processingDelay);
+                account.currentItems.delete(itemId);
+                current = null;
+                if (!processResult.cached) {
+                    await account.waitBeforeNextRequest();
+                }
                 
             } catch (error) {
-                console.error(`[FILTER] ❌ Queue error: ${error.message}`);
-                if (this.currentSteamID) {
-                    await this.returnToQueue(this.currentSteamID.steamID, this.currentSteamID.username);
-                }
-                await delay(this.config.ERROR_DELAY);
+                account.logError(`❌ Queue error: ${error.message}`);
+                await release();
+                await delay(account.config.ERROR_DELAY);
             }
         }
-    }
-
-    async takeScheduledBreak() {
-        const breakDuration = getRandomDelay(this.config.BREAK_DURATION_MIN, this.config.BREAK_DURATION_MAX);
-        console.log(`[FILTER] ☕ Taking scheduled break after ${this.requestCount} requests for ${Math.round(breakDuration/1000)} seconds`);
-        
-        await delay(breakDuration);
         
-        this.lastBreakTime = Date.now();
-        this.nextBreakAfter = this.requestCount + this.calculateNextBreakPoint();
-        console.log('[FILTER] ✅ Break completed, resuming processing...');
-    }
-
-    async takeTimeoutRecoveryBreak() {
-        console.error(`[FILTER] 🛑 Taking timeout recovery break after ${this.consecutiveTimeouts} consecutive timeouts`);
-        await delay(this.config.TIMEOUT_RECOVERY_BREAK);
-        this.consecutiveTimeouts = 0;
-        console.log('[FILTER] ✅ Timeout recovery break completed');
+        // Left rotation or lost the GC mid-item: hand it to another account
+        await release();
     }
 
     async getNextSteamID() {
         try {
-            const data = JSON.parse(fs.readFileSync(this.config.STEAMIDS_PATH, 'utf8'));
-            
-            for (const [username, steamIDs] of Object.entries(data)) {
-                if (steamIDs && steamIDs.length > 0) {
-                    const nextID = steamIDs.shift().toString();
-                    
-                    if (steamIDs.length === 0) {
-                        delete data[username];
-                    }
-                    
-                    fs.writeFileSync(this.config.STEAMIDS_PATH, JSON.stringify(data, null, 2));
-                    return { steamID: nextID, username: username };
-                }
+            const item = this.inputQueue.claim(this.scheduler);
+            if (!item) {
+                return null;
             }
-            
-            return null;
+            return {
+                steamID: item.steamId,
+                username: item.username,
+                itemId: item.id,
+                source: item.meta?.source || null,
+                lane: laneMeta(item.meta) // Carried on to the Submitter
+            };
         } catch (err) {
-            console.error(`[FILTER] Error reading Steam IDs file: ${err.message}`);
+            console.error(`[FILTER] Error claiming Steam ID from queue: ${err.message}`);
             return null;
         }
     }
 
-    async returnToQueue(steamID, username) {
+    // Put a claimed ID back in its place without counting an attempt
+    async returnToQueue(itemId) {
         try {
-            const data = JSON.parse(fs.readFileSync(this.config.STEAMIDS_PATH, 'utf8'));
-            
-            if (!data[username]) {
-                data[username] = [];
+            const item = this.inputQueue.get(itemId);
+            this.inputQueue.release(itemId);
+            if (item) {
+                console.log(`[FILTER] 🔄 Returned ${item.steamId} to processing queue for user ${item.username}`);
             }
-            
-            data[username].unshift(steamID.toString());
-            fs.writeFileSync(this.config.STEAMIDS_PATH, JSON.stringify(data, null, 2));
-            console.log(`[FILTER] 🔄 Returned ${steamID} to processing queue for user ${username}`);
         } catch (err) {
             console.error(`[FILTER] Error returning ID to queue: ${err.message}`);
         }
     }
 
-    async addToFilteredIDs(steamID, username) {
+    // Count a failed processing round. The ID goes to the back of the queue,
+    // or to the dead-letter queue once it has used up MAX_TOTAL_ATTEMPTS.
+    // It is not marked processed there: it can still be retried from
+    // /admin/dead-letter, and is marked once it gets a verdict or is
+    // discarded. Rounds may run on different accounts, so
+    // MAX_TOTAL_ATTEMPTS is the service-wide setting.
+    async recordFailure(itemId, error, account) {
         try {
-            let filteredData = {};
-            if (fs.existsSync(this.config.FILTERED_STEAMIDS_PATH)) {
-                try {
-                    const fileContent = fs.readFileSync(this.config.FILTERED_STEAMIDS_PATH, 'utf8');
-                    if (fileContent.trim()) {
-                        filteredData = JSON.parse(fileContent);
-                    }
-                } catch (err) {
-                    console.error(`[FILTER] Error reading filtered IDs file, starting fresh: ${err.message}`);
-                    filteredData = {};
-                }
+            const item = this.inputQueue.get(itemId);
+            if (!item) {
+                return;
             }
             
-            if (!filteredData[username]) {
-                filteredData[username] = [];
+            if (item.attempts + 1 < this.config.MAX_TOTAL_ATTEMPTS) {
+                this.inputQueue.nack(itemId, error.message);
+                console.error(`[FILTER] ❌ Returned ${item.steamId} to back of queue after ${account.config.MAX_RETRIES} failures (attempt ${item.attempts}/${this.config.MAX_TOTAL_ATTEMPTS})`);
+                return;
             }
             
-            const steamIDStr = steamID.toString();
-            
-            if (!filteredData[username].includes(steamIDStr)) {
-                filteredData[username].push(steamIDStr);
-                fs.writeFileSync(this.config.FILTERED_STEAMIDS_PATH, JSON.stringify(filteredData, null, 2));
-                console.log(`[FILTER] ✅ Added ${steamID} to filtered IDs for user ${username}`);
-            } else {
-                console.log(`[FILTER] ℹ️ Steam ID ${steamID} already exists for user ${username}`);
-            }
+            const errors = [...item.errors, { error: error.message, at: Date.now() }];
+            this.deadLetterQueue.enqueue(item.username, item.steamId, {
+                attempts: item.attempts + 1,
+                errors: errors.slice(-10),
+                queue: this.inputQueue.name,
+                itemMeta: item.meta,
+                deadLetteredAt: new Date().toISOString()
+            });
+            this.inputQueue.ack(itemId);
+            console.error(`[FILTER] ☠️ Moved ${item.steamId} to dead-letter queue after ${item.attempts + 1} failed attempts: ${error.message}`);
+        } catch (err) {
+            console.error(`[FILTER] Error recording failure: ${err.message}`);
+        }
+    }
+
+    // Drop dead-lettered items for good (admin discard). Only now is the ID
+    // given up on, so it is marked processed with an "error" outcome and
+    // its last error as the reason.
+    discardDeadLetters(items) {
+        this.deadLetterQueue.ackMany(items.map(item => item.id));
+        for (const item of items) {
+            const lastError = item.meta?.errors?.[item.meta.errors.length - 1]?.error || 'Discarded from dead-letter queue';
+            this.markProcessed(item.steamId, errorOutcome(new Error(lastError)));
+        }
+    }
+
+    // Queue a one-off GC profile fetch outside the pipeline (explain endpoint)
+    // A lookup that is already being fetched counts as queued at position 0
+    requestLookup(steamID) {
+        const steamIDStr = steamID.toString();
+        if (this.activeLookups.has(steamIDStr)) {
+            return { queued: true, position: 0 };
+        }
+        if (!this.pendingLookups.has(steamIDStr) && this.pendingLookups.size >= this.config.MAX_PENDING_LOOKUPS) {
+            return { queued: false, position: null };
+        }
+
+        this.pendingLookups.add(steamIDStr);
+        return { queued: true, position: [...this.pendingLookups].indexOf(steamIDStr) + 1 };
+    }
+
+    // Oldest pending lookup, moved to the active ones so no other account
+    // picks it up and repeated requests don't queue it again
+    takePendingLookup() {
+        const steamID = this.pendingLookups.values().next().value;
+        if (steamID) {
+            this.pendingLookups.delete(steamID);
+            this.activeLookups.add(steamID);
+        }
+        return steamID;
+    }
+
+    async processLookup(account, steamID) {
+        try {
+            account.log(`🔎 Fetching profile for ${steamID} (on-demand lookup)`);
+            const result = await this.fetchAndCheckProfile(account, steamID);
+            // A refresh keeps the harvester the stored profile belongs to
+            this.saveProfileResult(this.profileStore.get(steamID)?.username ?? null, result, account);
+        } catch (err) {
+            account.logError(`On-demand lookup failed for ${steamID}: ${err.message}`);
+        } finally {
+            this.activeLookups.delete(steamID);
+        }
+    }
+
+    // Keep every fetched profile with its verdict for later analysis
+    saveProfileResult(username, processResult, account) {
+        try {
+            const { profileData } = processResult;
+            this.profileStore.save({
+                steam_id: profileData.steam_id,
+                username: username,
+                verdict: processResult.passedChecks ? 'passed' : 'rejected',
+                filter_profile: processResult.filterProfile,
+                rule_version: processResult.ruleVersion,
+                reason: processResult.filterReason,
+                detail: processResult.filterDetail,
+                profile: {
+                    account_id: profileData.account_id,
+                    commendations: profileData.commendations,
+                    medals: profileData.medals
+                },
+                checked_at: profileData.timestamp,
+                checked_by: processResult.checkedBy || account.username
+            });
         } catch (err) {
-            console.error(`[FILTER] Error adding to filtered IDs: ${err.message}`);
+            console.error(`[FILTER] Error saving profile result: ${err.message}`);
+        }
+    }
+
+    async addToFilteredIDs(steamID, username, meta) {
+        const steamIDStr = steamID.toString();
+        
+        if (this.outputQueue.enqueue(username, steamIDStr, meta)) {
+            console.log(`[FILTER] ✅ Added ${steamID} to filtered IDs for user ${username}`);
+        } else {
+            console.log(`[FILTER] ℹ️ Steam ID ${steamID} already exists for user ${username}`);
         }
     }
 
-    async processSteamIDWithRetries(steamID64, maxRetries) {
+    async processSteamIDWithRetries(account, steamID64, maxRetries, filterProfile) {
         let attempts = 0;
         let lastError = null;
-        let processResult = null;
+        let processResult = this.checkVerdictCache(steamID64, filterProfile);
 
-        while (attempts < maxRetries) {
+        while (!processResult && attempts < maxRetries) {
+            if (attempts > 0 && !account.isAvailable()) {
+                // The account left rotation; that's not the ID's fault, so
+                // it goes back in line for another account without an attempt
+                return { success: false, released: true, error: lastError };
+            }
+            
             attempts++;
             try {
-                const result = await this.fetchAndCheckProfile(steamID64);
+                const result = await this.fetchAndCheckProfile(account, steamID64, filterProfile);
                 processResult = { success: true, ...result };
                 break;
             } catch (error) {
                 lastError = error;
-                console.error(`[FILTER] Attempt ${attempts} failed for ${steamID64}: ${error.message}`);
+                account.logError(`Attempt ${attempts} failed for ${steamID64}: ${error.message}`);
                 if (attempts < maxRetries) {
-                    await delay(this.config.ERROR_DELAY);
+                    await delay(account.config.ERROR_DELAY);
                 }
             }
         }
@@ -526,84 +621,122 @@ class FilterService {
             processResult = { success: false, error: lastError };
         }
 
+        return processResult;
+    }
+
+    // Report an ID's final outcome to the main server through the outbox.
+    // Only IDs with a verdict, or given up on for good, are marked; an ID
+    // whose attempts failed stays unmarked while it waits for another round.
+    markProcessed(steamID64, outcome) {
+        const steamID = steamID64.toString();
         try {
-            await markSteamIdProcessedWithRetries(steamID64, this.config);
+            this.outbox.add('mark_processed', `mark_processed:${steamID}:${outcome.outcome}`, { steam_id: steamID, ...outcome });
         } catch (err) {
-            console.error(`[FILTER] ⚠️ Could not mark ${steamID64} as processed in database: ${err.message}`);
+            console.error(`[FILTER] ⚠️ Could not queue ${steamID} to be marked as processed: ${err.message}`);
         }
+    }
 
-        return processResult;
+    // Outbox delivery of one mark-processed call
+    async deliverMarkProcessed(payload, idempotencyKey) {
+        const response = await markSteamIdProcessed(payload, idempotencyKey, this.config);
+        if (!response.success) {
+            throw new Error(response.error || 'Unknown API error');
+        }
+
+        if (response.created) {
+            console.log(`[FILTER] ✅ Marked ${payload.steam_id} as processed in database (${payload.outcome})`);
+        } else {
+            console.log(`[FILTER] ℹ️ ${payload.steam_id} was already marked as processed`);
+        }
+        this.seenCache.add(payload.steam_id, 'processed');
     }
 
-    fetchAndCheckProfile(steamID64) {
-        return new Promise((resolve, reject) => {
-            const steamIDObj = new SteamID(steamID64.toString());
-    
-            const timeout = setTimeout(() => {
-                this.consecutiveTimeouts++;
-                reject(new Error(`Timeout fetching profile for ${steamID64}`));
-            }, this.config.REQUEST_TIMEOUT);
-    
-            this.csgo.requestPlayersProfile(steamIDObj, (profile) => {
-                clearTimeout(timeout);
-                this.consecutiveTimeouts = 0;
-                try {
-                    const result = this.checkProfile(steamID64, profile);
-                    resolve(result);
-                } catch (error) {
-                    reject(error);
+    // A result built from a profile fetched within the verdict cache TTL, or
+    // null if the GC has to be asked
+    checkVerdictCache(steamID64, filterProfile) {
+        if (!this.verdictCache) {
+            return null;
+        }
+
+        const hit = this.verdictCache.lookup(steamID64, filterProfile);
+        if (!hit) {
+            return null;
+        }
+
+        const { record } = hit;
+        let result;
+        if (hit.reuse) {
+            console.log(`[FILTER] 💾 ${steamID64} - Reusing cached verdict (${record.verdict}) from ${record.checked_at}`);
+            result = {
+                passedChecks: record.verdict === 'passed',
+                filterProfile: record.filter_profile || 'default',
+                ruleVersion: record.rule_version,
+                filterReason: record.reason,
+                filterDetail: record.detail,
+                profileData: {
+                    account_id: record.profile.account_id,
+                    steam_id: steamID64,
+                    commendations: record.profile.commendations,
+                    medals: record.profile.medals,
+                    timestamp: record.checked_at
                 }
-            });
-        });
+            };
+        } else {
+            console.log(`[FILTER] 💾 ${steamID64} - Re-evaluating cached profile from ${record.checked_at}`);
+            result = this.checkProfile(steamID64, hit.profile, filterProfile);
+            result.profileData.timestamp = record.checked_at; // Keep the TTL running from the fetch
+        }
+
+        return { success: true, cached: true, checkedBy: record.checked_by, ...result };
+    }
+
+    async fetchAndCheckProfile(account, steamID64, filterProfile) {
+        try {
+            const profile = await account.fetchProfile(steamID64);
+            const result = this.checkProfile(steamID64, profile, filterProfile);
+            account.recordSuccess();
+            return result;
+        } catch (error) {
+            account.recordFailure(error);
+            throw error;
+        }
+    }
+
+    // The single place filter rules are applied; used by checkProfile and
+    // the explain endpoint so both always agree
+    evaluateProfile(profile, filterProfile = this.config.filterProfiles.resolve()) {
+        return {
+            ...filterProfile.ruleSet.evaluate(profile),
+            filterProfile: filterProfile.name,
+            ruleVersion: filterProfile.ruleSet.version
+        };
     }
 
-    checkProfile(steamID64, profile) {
+    checkProfile(steamID64, profile, filterProfile) {
         if (!profile) {
             throw new Error('No profile data received');
         }
 
         const medals = profile.medals?.display_items_defidx || [];
         const commend = profile.commendation || {};
-        const totalCommendations =
-            (commend.cmd_friendly || 0) +
-            (commend.cmd_teaching || 0) +
-            (commend.cmd_leader || 0);
-
-        const unwantedMedals = new Set([
-            4960, 6111, 6112, 6123, 6126, 6129, 4918, 4555, 4759, 6101, 4687,
-            6113, 6106, 6125, 4886, 4853, 4703, 4552, 960, 4959, 4762, 4919,
-            4828, 4800, 4761, 4626, 4986, 4873, 6127, 6128, 4799, 4702, 909,
-            4550, 6105, 4798, 4553, 4760, 4958, 6114, 4884, 4701, 4700, 6124,
-            4885, 6130, 4690, 6115, 4691, 6131, 4887, 935, 912, 908, 902, 4552, 968,
-            952, 946, 6034, 6117, 6116, 6120, 6109, 6104, 6108, 6118, 4623, 4851
-        ]);
-
-        let passed = true;
-        let filterReason = null;
-
-        if (totalCommendations >= 100) {
-            passed = false;
-            filterReason = `commendations ≥ 100 (${totalCommendations})`;
-        } else if (!medals.includes(874)) {
-            passed = false;
-            filterReason = "missing medal 874";
-        } else if (medals.length < 3) {
-            passed = false;
-            filterReason = `less than 3 medals (has ${medals.length})`;
-        } else if (medals.find(m => unwantedMedals.has(m)) !== undefined) {
-            const firstUnwanted = medals.find(m => unwantedMedals.has(m));
-            passed = false;
-            filterReason = `has unwanted medal: ${firstUnwanted}`;
-        }
+
+        const evaluation = this.evaluateProfile(profile, filterProfile);
+        const passed = evaluation.passed;
+        const filterReason = evaluation.reason;
 
         const resultMessage = passed ? 
             `✅ ${steamID64} - Passed filters` : 
-            `❌ ${steamID64} - Failed (${filterReason})`;
+            `❌ ${steamID64} - Failed (${filterReason}${evaluation.detail ? `: ${evaluation.detail}` : ''})`;
+        const profileNote = evaluation.filterProfile !== 'default' ? ` [profile: ${evaluation.filterProfile}]` : '';
         
-        console.log(`[FILTER] ${resultMessage}`);
+        console.log(`[FILTER] ${resultMessage}${profileNote}`);
 
         return {
             passedChecks: passed,
+            filterProfile: evaluation.filterProfile,
+            ruleVersion: evaluation.ruleVersion,
+            filterReason: filterReason,
+            filterDetail: evaluation.detail,
             profileData: {
                 account_id: profile.account_id,
                 steam_id: steamID64,
@@ -621,15 +754,18 @@ class FilterService {
         
         console.log('[FILTER] 🛑 Stopping Steam ID Filter Service Worker...');
         this.running = false;
-        this.processingActive = false;
         
-        if (this.currentSteamID) {
-            console.log(`[FILTER] 🔄 Shutdown detected, returning ${this.currentSteamID.steamID} to queue`);
-            this.returnToQueue(this.currentSteamID.steamID, this.currentSteamID.username)
-                .catch(err => console.error(`[FILTER] Failed to return ID on shutdown: ${err.message}`));
+        for (const account of this.accounts) {
+            for (const item of account.currentItems.values()) {
+                console.log(`[FILTER] 🔄 Shutdown detected, returning ${item.steamID} to queue`);
+                this.returnToQueue(item.itemId)
+                    .catch(err => console.error(`[FILTER] Failed to return ID on shutdown: ${err.message}`));
+            }
+            account.currentItems.clear();
+            account.stop();
         }
+        this.outbox.unregister('mark_processed');
         
-        this.steamClient.logOff();
         console.log('[FILTER] ✅ Worker stopped');
     }
 
@@ -637,8 +773,18 @@ class FilterService {
         return this.running;
     }
     
+    // True while at least one account is connected to the GC and in rotation
     isProcessingActive() {
-        return this.running && this.processingActive;
+        return this.running && this.accounts.some(account => account.isAvailable());
+    }
+    
+    getAccountHealth() {
+        return this.accounts.map(account => account.getHealth());
+    }
+    
+    // Scheduling policy and, per username and priority lane, queue depth and wait times
+    getSchedulingStats() {
+        return { ...this.scheduler.getStats(this.inputQueue.userStats()), lanes: this.inputQueue.laneStats() };
     }
 }
 
@@ -4,19 +4,25 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const { QUEUES, openQueue } = require('../lib/queue-store');
+const { openSeenCache } = require('../lib/seen-cache');
+const { openOutbox } = require('../lib/outbox');
+const { UserScheduler, loadSchedulingSettings } = require('../lib/user-scheduler');
+const { priorityOf } = require('../lib/priority-lanes');
 
 // Configuration
 const CONFIG = {
-    FILTERED_STEAMIDS_PATH: path.join(__dirname, '../steam_ids_filtered.json'),
+    QUEUE_DIR: path.join(__dirname, '../data'),
     CONFIG_PATH: path.join(__dirname, '../config.json'),
     
     // Default configuration (can be overridden by config.json)
-    FILE_CHECK_INTERVAL: 1000, // 1 second
+    FILE_CHECK_INTERVAL: 1000, // 1 second (queue poll interval)
     API_TIMEOUT: 15000, // 15 seconds
-    API_RETRY_DELAY_MIN: 1000, // 1 second
+    API_RETRY_DELAY_MIN: 1000, // 1 second, doubling per failed attempt
     API_RETRY_DELAY_MAX: 60000, // 60 seconds
-    API_MAX_IMMEDIATE_RETRIES: 3,
     REQUEST_DELAY: 5000, // 5 seconds between API calls
+    OUTBOX_MAX_PENDING: 10, // Submissions waiting in the outbox before taking more from the queue
+    OUTBOX_MAX_ATTEMPTS: 20, // Failed deliveries before a submission is given up on
     API_ENDPOINT: null,
     API_KEY: null,
 };
@@ -26,12 +32,22 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// One idempotency key per username and Steam ID, so a resubmission after a
+// crash or a lost response is recognized as the same submission
+function submissionKey(username, steamId) {
+    return `submit:${username}:${steamId}`;
+}
+
 // Main worker class
 class Submitter {
-    constructor() {
-        this.config = this.loadConfig();
+    // options: { configPath, dataDir } as for FilterService
+    constructor({ configPath = CONFIG.CONFIG_PATH, dataDir = CONFIG.QUEUE_DIR } = {}) {
+        this.config = this.loadConfig(configPath, dataDir);
+        this.queue = openQueue(QUEUES.FILTERED, this.config.QUEUE_DIR);
+        this.seenCache = openSeenCache(this.config.QUEUE_DIR);
+        this.outbox = openOutbox(this.config.QUEUE_DIR);
+        this.scheduler = new UserScheduler(this.config.scheduling);
         this.running = false;
-        this.lastRequestTime = 0;
         this.stats = {
             totalProcessed: 0,
             successful: 0,
@@ -41,12 +57,12 @@ class Submitter {
         };
     }
 
-    loadConfig() {
+    loadConfig(configPath, dataDir) {
         try {
-            let config = { ...CONFIG }; // Start with defaults
+            let config = { ...CONFIG, QUEUE_DIR: dataDir }; // Start with defaults
             
-            if (fs.existsSync(CONFIG.CONFIG_PATH)) {
-                const userConfig = JSON.parse(fs.readFileSync(CONFIG.CONFIG_PATH, 'utf8'));
+            if (fs.existsSync(configPath)) {
+                const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
                 
                 // Load API key
                 config.API_KEY = userConfig.tradebot_api_key;
@@ -62,10 +78,14 @@ class Submitter {
                     config.API_TIMEOUT = (sub.api_timeout || CONFIG.API_TIMEOUT / 1000) * 1000;
                     config.API_RETRY_DELAY_MIN = (sub.api_retry_delay_min || CONFIG.API_RETRY_DELAY_MIN / 1000) * 1000;
                     config.API_RETRY_DELAY_MAX = (sub.api_retry_delay_max || CONFIG.API_RETRY_DELAY_MAX / 1000) * 1000;
-                    config.API_MAX_IMMEDIATE_RETRIES = sub.api_max_immediate_retries || CONFIG.API_MAX_IMMEDIATE_RETRIES;
                     config.REQUEST_DELAY = (sub.request_delay || CONFIG.REQUEST_DELAY / 1000) * 1000;
+                    config.OUTBOX_MAX_PENDING = sub.outbox_max_pending || CONFIG.OUTBOX_MAX_PENDING;
+                    config.OUTBOX_MAX_ATTEMPTS = sub.outbox_max_attempts || CONFIG.OUTBOX_MAX_ATTEMPTS;
                 }
                 
+                // Which username the next Steam ID is taken from
+                config.scheduling = loadSchedulingSettings(userConfig, 'submitter');
+                
                 // Load API endpoint from root config
                 config.API_ENDPOINT = userConfig.api_endpoint || 'https://kuchababok.online/en/links/api/add-steam-id-to-queue/';
             } else {
@@ -93,6 +113,12 @@ class Submitter {
         console.log(`[SUBMITTER] File check interval: ${this.config.FILE_CHECK_INTERVAL}ms`);
         console.log(`[SUBMITTER] Request delay: ${this.config.REQUEST_DELAY}ms`);
         
+        this.outbox.register('submit', (payload, key) => this.deliverSubmission(payload, key), {
+            minInterval: this.config.REQUEST_DELAY,
+            retryDelayMin: this.config.API_RETRY_DELAY_MIN,
+            retryDelayMax: this.config.API_RETRY_DELAY_MAX,
+            maxAttempts: this.config.OUTBOX_MAX_ATTEMPTS
+        });
         this.processLoop();
         console.log('[SUBMITTER] ✅ Worker started successfully');
     }
@@ -109,106 +135,67 @@ class Submitter {
         }
     }
 
+    // Move the next ID from the filtered queue into the outbox, which
+    // delivers it in the background. IDs stay in the queue (and in its
+    // per-user order) while the outbox already has a backlog of submissions,
+    // except IDs in a lane above the default one, which skip ahead of it.
     async processPendingIDs() {
-        const pendingData = await this.getPendingIDs();
-        
-        if (!pendingData || Object.keys(pendingData).length === 0) {
-            return; // No pending IDs, silent return
+        const backlog = this.outbox.depth('submit') >= this.config.OUTBOX_MAX_PENDING;
+        if (backlog && !(this.queue.topPriority() > 0)) {
+            return;
         }
 
-        // Process one ID from the first user that has pending IDs
-        for (const [username, steamIDs] of Object.entries(pendingData)) {
-            if (steamIDs && steamIDs.length > 0) {
-                const steamID = steamIDs[0];
-                await this.processID(steamID, username);
-                break; // Only process one ID per cycle
-            }
+        const item = this.queue.claim(this.scheduler);
+        if (!item) {
+            return; // No pending IDs, silent return
+        }
+        if (backlog && priorityOf(item) <= 0) {
+            this.queue.release(item.id); // The lane share picked the backlog
+            return;
         }
-    }
 
-    async getPendingIDs() {
         try {
-            const fileContent = fs.readFileSync(this.config.FILTERED_STEAMIDS_PATH, 'utf8');
-            if (!fileContent.trim()) return {};
-            return JSON.parse(fileContent);
-        } catch (err) {
-            if (err.code !== 'ENOENT') { // Don't log if file doesn't exist
-                console.error(`[SUBMITTER] Error reading filtered IDs file: ${err.message}`);
-            }
-            return {};
+            // The outbox write is durable before the queue item is removed; if
+            // we crash in between, the same key is recognized as a duplicate
+            this.outbox.add('submit', submissionKey(item.username, item.steamId), {
+                steam_id: item.steamId,
+                username: item.username,
+                // IDs queued before filter profiles existed were checked with the default rules
+                filter_profile: item.meta?.filter_profile || 'default'
+            }, { priority: priorityOf(item) });
+            this.queue.ack(item.id);
+        } catch (error) {
+            this.queue.release(item.id);
+            throw error;
         }
     }
 
-    async processID(steamID, username) {
-        const startTime = Date.now();
-        
-        // Respect rate limiting
-        const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-        if (timeSinceLastRequest < this.config.REQUEST_DELAY) {
-            await delay(this.config.REQUEST_DELAY - timeSinceLastRequest);
-        }
-
-        let attempts = 0;
-        let lastError = null;
+    // Outbox delivery of one submission; throws to have it retried with
+    // backoff (or given up on, for a 4xx other than 401 and 429)
+    async deliverSubmission(payload, idempotencyKey) {
+        const { steam_id: steamID, username } = payload;
+        this.stats.totalProcessed++;
+        this.stats.lastProcessedId = steamID;
 
-        while (attempts < this.config.API_MAX_IMMEDIATE_RETRIES) {
-            attempts++;
-            
-            try {
-                const success = await this.submitToAPI(steamID, username);
-                
-                if (success) {
-                    await this.removeFromPendingIDs(steamID, username);
-                    const duration = Date.now() - startTime;
-                    
-                    this.stats.totalProcessed++;
-                    this.stats.successful++;
-                    this.stats.lastProcessedId = steamID;
-                    
-                    console.log(`[SUBMITTER] ✅ Successfully submitted ${steamID} for ${username} (${duration}ms)`);
-                    this.lastRequestTime = Date.now();
-                    return;
-                }
-            } catch (error) {
-                lastError = error;
-                
-                // Handle 401 errors specially - log error but don't exit
-                if (error.statusCode === 401) {
-                    console.error(`[SUBMITTER] ❌ Authentication failed (401). Check API key in config.json.`);
-                    // Don't continue trying this request, but don't exit the service
-                    break;
-                }
-                
-                console.error(`[SUBMITTER] Attempt ${attempts} failed for ${steamID}: ${error.message}`);
-                
-                if (attempts < this.config.API_MAX_IMMEDIATE_RETRIES) {
-                    // Exponential backoff: 1s, 2s, 4s, etc.
-                    const backoffDelay = Math.min(
-                        this.config.API_RETRY_DELAY_MIN * Math.pow(2, attempts - 1),
-                        this.config.API_RETRY_DELAY_MAX
-                    );
-                    console.log(`[SUBMITTER] ⏳ Retrying in ${backoffDelay}ms...`);
-                    await delay(backoffDelay);
-                }
+        try {
+            await this.submitToAPI(payload, idempotencyKey);
+        } catch (error) {
+            this.stats.failed++;
+            if (error.statusCode === 401) {
+                console.error(`[SUBMITTER] ❌ Authentication failed (401). Check API key in config.json.`);
             }
+            throw error;
         }
 
-        // All retries failed
-        const duration = Date.now() - startTime;
-        this.stats.totalProcessed++;
-        this.stats.failed++;
-        this.stats.lastProcessedId = steamID;
-        
-        console.error(`[SUBMITTER] ❌ Failed to submit ${steamID} after ${attempts} attempts (${duration}ms): ${lastError?.message}`);
-        this.lastRequestTime = Date.now();
+        this.stats.successful++;
+        this.seenCache.add(steamID, 'submitted');
+        console.log(`[SUBMITTER] ✅ Successfully submitted ${steamID} for ${username}`);
     }
 
-    async submitToAPI(steamID, username) {
+    async submitToAPI(payload, idempotencyKey) {
+        const steamID = payload.steam_id;
         return new Promise((resolve, reject) => {
-            const postData = JSON.stringify({
-                steam_id: steamID,
-                username: username
-            });
+            const postData = JSON.stringify(payload);
 
             const url = new URL(this.config.API_ENDPOINT);
             const options = {
@@ -219,7 +206,8 @@ class Submitter {
                 headers: {
                     'Content-Type': 'application/json',
                     'Content-Length': Buffer.byteLength(postData),
-                    'X-API-Key': this.config.API_KEY
+                    'X-API-Key': this.config.API_KEY,
+                    'Idempotency-Key': idempotencyKey
                 },
                 timeout: this.config.API_TIMEOUT
             };
@@ -267,35 +255,6 @@ class Submitter {
         });
     }
 
-    async removeFromPendingIDs(steamID, username) {
-        try {
-            const fileContent = fs.readFileSync(this.config.FILTERED_STEAMIDS_PATH, 'utf8');
-            let data = {};
-            
-            if (fileContent.trim()) {
-                data = JSON.parse(fileContent);
-            }
-            
-            if (data[username] && Array.isArray(data[username])) {
-                const index = data[username].indexOf(steamID);
-                if (index > -1) {
-                    data[username].splice(index, 1);
-                    
-                    // Remove empty arrays
-                    if (data[username].length === 0) {
-                        delete data[username];
-                    }
-                    
-                    fs.writeFileSync(this.config.FILTERED_STEAMIDS_PATH, JSON.stringify(data, null, 2));
-                    console.log(`[SUBMITTER] 🗑️ Removed ${steamID} from pending queue for ${username}`);
-                }
-            }
-        } catch (err) {
-            console.error(`[SUBMITTER] Error removing ID from pending queue: ${err.message}`);
-            throw err;
-        }
-    }
-
     stop() {
         if (!this.running) {
             return;
@@ -303,6 +262,7 @@ class Submitter {
         
         console.log('[SUBMITTER] 🛑 Stopping Steam API Submission Service Worker...');
         this.running = false;
+        this.outbox.unregister('submit');
         
         // Log final stats
         const runtime = this.stats.startTime ? Math.round((Date.now() - this.stats.startTime) / 1000) : 0;
@@ -321,6 +281,11 @@ class Submitter {
             runtime: this.stats.startTime ? Math.round((Date.now() - this.stats.startTime) / 1000) : 0
         };
     }
+
+    // Scheduling policy and, per username and priority lane, queue depth and wait times
+    getSchedulingStats() {
+        return { ...this.scheduler.getStats(this.queue.userStats()), lanes: this.queue.laneStats() };
+    }
 }
 
 module.exports = Submitter;
\ No newline at end of file
@@ -3,11 +3,13 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const { QUEUES, openQueue } = require('../lib/queue-store');
+const { openSeenCache } = require('../lib/seen-cache');
+const { UserScheduler, loadSchedulingSettings } = require('../lib/user-scheduler');
 
 // Configuration
 const CONFIG = {
-    INPUT_FILE: path.join(__dirname, '../steam_ids.json'),
-    OUTPUT_FILE: path.join(__dirname, '../steam_ids_unique.json'),
+    QUEUE_DIR: path.join(__dirname, '../data'),
     CONFIG_PATH: path.join(__dirname, '../config.json'),
     
     // Default configuration (can be overridden by config.json)
@@ -15,6 +17,11 @@ const CONFIG = {
     REQUEST_TIMEOUT: 30000, // 30 seconds timeout for API requests
     MAX_RETRIES: 3,         // Max retries for failed API calls
     RETRY_DELAY: 5000,      // 5 seconds between retries
+    BATCH_SIZE: 1000,       // Max Steam IDs sent per API call
+    
+    // Local seen-ID cache in front of the API
+    SEEN_CACHE_ENABLED: true,
+    SEEN_CACHE_TTL: 30 * 24 * 60 * 60 * 1000, // Re-check IDs last seen over 30 days ago
     
     // Django API configuration (loaded from config)
     DJANGO_API_URL: null,
@@ -26,42 +33,6 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function fileExists(filePath) {
-    try {
-        return fs.existsSync(filePath);
-    } catch (err) {
-        return false;
-    }
-}
-
-function readJsonFile(filePath) {
-    try {
-        if (!fileExists(filePath)) {
-            return {};
-        }
-        
-        const content = fs.readFileSync(filePath, 'utf8').trim();
-        if (!content) {
-            return {};
-        }
-        
-        return JSON.parse(content);
-    } catch (err) {
-        console.error(`[UNIQUENESS] Error reading ${filePath}: ${err.message}`);
-        return {};
-    }
-}
-
-function writeJsonFile(filePath, data) {
-    try {
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-        return true;
-    } catch (err) {
-        console.error(`[UNIQUENESS] Error writing ${filePath}: ${err.message}`);
-        return false;
-    }
-}
-
 // API call function with retry logic
 async function callDjangoAPI(steamIdsData, config, attempt = 1) {
     return new Promise((resolve, reject) => {
@@ -141,21 +112,72 @@ async function callDjangoAPIWithRetries(steamIdsData, config) {
     throw new Error(`All ${config.MAX_RETRIES} API attempts failed. Last error: ${lastError.message}`);
 }
 
-// Main processing function
-async function processUniquenessCheck(config) {
-    try {
-        // Read input file
-        const steamIdsData = readJsonFile(config.INPUT_FILE);
-        
-        // Check if there's any data to process
-        const totalIds = Object.values(steamIdsData).reduce((sum, ids) => sum + (ids?.length || 0), 0);
-        
-        if (totalIds === 0) {
-            // No logging when no data to avoid spam
-            return;
+// Group claimed queue items into the { username: [steamIds] } API payload
+function buildPayload(items) {
+    const payload = {};
+    for (const item of items) {
+        (payload[item.username] = payload[item.username] || []).push(item.steamId);
+    }
+    return payload;
+}
+
+// Keep only response IDs that were actually sent for that username, so a
+// malformed or mismatched response can't inject IDs into the next stage.
+// Each entry keeps the meta (e.g. ingest source) of the item it came from.
+function collectUniqueEntries(response, sentItems) {
+    const sent = new Map(sentItems.map(item => [`${item.username}:${item.steamId}`, item]));
+    const entries = [];
+    let ignored = 0;
+    
+    for (const [username, steamIds] of Object.entries(response.filtered_steamids || {})) {
+        for (const steamId of steamIds || []) {
+            const item = sent.get(`${username}:${steamId}`);
+            if (item) {
+                entries.push({ username, steamId: item.steamId, meta: item.meta });
+            } else {
+                ignored++;
+            }
         }
-        
-        console.log(`[UNIQUENESS] Processing ${totalIds} Steam IDs from ${Object.keys(steamIdsData).length} users`);
+    }
+    
+    if (ignored > 0) {
+        console.warn(`[UNIQUENESS] ⚠️ Ignored ${ignored} Steam IDs in API response that were not in the request`);
+    }
+    return entries;
+}
+
+// Send one batch of harvested IDs to the API. Unique IDs are merged into the
+// unique queue first, and only then are exactly the IDs we sent acknowledged
+// in the harvested queue. IDs that arrive while the call is in flight are
+// never claimed by this batch and stay queued. The scheduler decides which
+// lanes and usernames fill the batch. Returns the batch size.
+async function processUniquenessCheck(config, inputQueue, outputQueue, seenCache, scheduler) {
+    const claimed = inputQueue.claimBatch(config.BATCH_SIZE, scheduler);
+    
+    if (claimed.length === 0) {
+        // No logging when no data to avoid spam
+        return 0;
+    }
+    
+    // IDs the main server already knows about are dropped without a network call
+    let toSend = claimed;
+    if (seenCache) {
+        const known = new Set(claimed.filter(item => seenCache.has(item.steamId, config.SEEN_CACHE_TTL)));
+        if (known.size > 0) {
+            inputQueue.ackMany([...known].map(item => item.id));
+            toSend = claimed.filter(item => !known.has(item));
+            console.log(`[UNIQUENESS] ♻️ Skipped ${known.size} already seen Steam IDs (local cache)`);
+        }
+        if (toSend.length === 0) {
+            return claimed.length;
+        }
+    }
+    
+    const claimedIds = toSend.map(item => item.id);
+    
+    try {
+        const steamIdsData = buildPayload(toSend);
+        console.log(`[UNIQUENESS] Processing ${toSend.length} Steam IDs from ${Object.keys(steamIdsData).length} users`);
         
         // Call Django API to filter unique IDs
         const response = await callDjangoAPIWithRetries(steamIdsData, config);
@@ -168,49 +190,60 @@ async function processUniquenessCheck(config) {
         const stats = response.stats || {};
         console.log(`[UNIQUENESS] ✅ Completed: ${stats.total_input || 0} input, ${stats.unique_found || 0} unique, ${stats.already_exists || 0} duplicates`);
         
-        // Write unique IDs to output file
-        const uniqueIds = response.filtered_steamids || {};
-        if (Object.keys(uniqueIds).length > 0) {
-            if (writeJsonFile(config.OUTPUT_FILE, uniqueIds)) {
-                console.log(`[UNIQUENESS] ✅ Written ${stats.unique_found || 0} unique Steam IDs to output file`);
-            } else {
-                throw new Error('Failed to write output file');
-            }
+        // Merge unique IDs into the Filter Service queue (existing entries are kept)
+        const entries = collectUniqueEntries(response, toSend);
+        
+        if (entries.length > 0) {
+            const added = outputQueue.enqueueMany(entries).filter(Boolean).length;
+            console.log(`[UNIQUENESS] ✅ Queued ${added} unique Steam IDs for filtering (${entries.length - added} already queued)`);
         } else {
             console.log(`[UNIQUENESS] ℹ️ No unique Steam IDs found - all were duplicates`);
-            // Create empty output file to signal completion
-            writeJsonFile(config.OUTPUT_FILE, {});
         }
         
-        // Clear the input file after successful processing
-        if (writeJsonFile(config.INPUT_FILE, {})) {
-            console.log(`[UNIQUENESS] ✅ Cleared input file after successful processing`);
-        } else {
-            console.error(`[UNIQUENESS] ⚠️ Failed to clear input file`);
+        // IDs the API reported as duplicates are known to the main server.
+        // Unique ones aren't recorded there until they are marked processed or
+        // submitted, and those hooks add them to the cache.
+        if (seenCache) {
+            const unique = new Set(entries.map(entry => entry.steamId));
+            const duplicates = toSend.map(item => item.steamId).filter(steamId => !unique.has(steamId));
+            seenCache.addMany(duplicates, 'uniqueness');
         }
         
+        // Remove only the IDs we sent from the input queue
+        inputQueue.ackMany(claimedIds);
+        console.log(`[UNIQUENESS] ✅ Removed ${toSend.length} processed IDs from input queue`);
+        return claimed.length;
+        
     } catch (error) {
         console.error(`[UNIQUENESS] ❌ Error during uniqueness check: ${error.message}`);
         
-        // Don't clear input file on error - keep for retry
-        console.log(`[UNIQUENESS] ℹ️ Input file preserved for retry due to error`);
+        // Don't drop input IDs on error - keep for retry
+        inputQueue.releaseMany(claimedIds);
+        console.log(`[UNIQUENESS] ℹ️ Input IDs preserved for retry due to error`);
+        throw error;
     }
 }
 
 // Worker class
 class UniquenessChecker {
-    constructor() {
+    // options: { configPath, dataDir } as for FilterService
+    constructor({ configPath = CONFIG.CONFIG_PATH, dataDir = CONFIG.QUEUE_DIR } = {}) {
         this.running = false;
         this.intervalId = null;
-        this.config = this.loadConfig();
+        this.checkInProgress = false;
+        this.config = this.loadConfig(configPath, dataDir);
+        this.inputQueue = openQueue(QUEUES.HARVESTED, this.config.QUEUE_DIR);
+        this.outputQueue = openQueue(QUEUES.UNIQUE, this.config.QUEUE_DIR);
+        this.seenCache = this.config.SEEN_CACHE_ENABLED ? openSeenCache(this.config.QUEUE_DIR) : null;
+        this.scheduler = new UserScheduler(this.config.scheduling);
     }
     
-    loadConfig() {
+    loadConfig(configPath, dataDir) {
         try {
-            let config = { ...CONFIG }; // Start with defaults
+            let config = { ...CONFIG, QUEUE_DIR: dataDir }; // Start with defaults
             
-            if (fs.existsSync(CONFIG.CONFIG_PATH)) {
-                const userConfig = JSON.parse(fs.readFileSync(CONFIG.CONFIG_PATH, 'utf8'));
+            if (fs.existsSync(configPath)) {
+                const userConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
                 
                 // Override defaults with user configuration
                 if (userConfig.uniqueness_checker) {
@@ -219,8 +252,18 @@ class UniquenessChecker {
                     config.REQUEST_TIMEOUT = (uc.request_timeout || CONFIG.REQUEST_TIMEOUT / 1000) * 1000;
                     config.MAX_RETRIES = uc.max_retries || CONFIG.MAX_RETRIES;
                     config.RETRY_DELAY = (uc.retry_delay || CONFIG.RETRY_DELAY / 1000) * 1000;
+                    config.BATCH_SIZE = uc.batch_size || CONFIG.BATCH_SIZE;
+                }
+                
+                if (userConfig.seen_cache) {
+                    const sc = userConfig.seen_cache;
+                    config.SEEN_CACHE_ENABLED = sc.enabled !== false;
+                    config.SEEN_CACHE_TTL = (sc.ttl_days ?? CONFIG.SEEN_CACHE_TTL / 86400000) * 86400000;
                 }
                 
+                // Which lanes and usernames fill each batch
+                config.scheduling = loadSchedulingSettings(userConfig, 'uniqueness_checker');
+                
                 // Load API settings from root config
                 config.DJANGO_API_URL = userConfig.uniqueness_check_api_url || 'https://kuchababok.online/en/links/api/filter-unique-steamids/';
                 config.API_KEY = userConfig.link_harvester_api_key;
@@ -261,10 +304,22 @@ class UniquenessChecker {
     }
     
     async processImmediately() {
+        // A slow API call can outlast the interval; never run two checks at once
+        if (this.checkInProgress) {
+            return;
+        }
+        
+        this.checkInProgress = true;
         try {
-            await processUniquenessCheck(this.config);
+            // Drain the queue batch by batch; stop at the first failed batch
+            let processed;
+            do {
+                processed = await processUniquenessCheck(this.config, this.inputQueue, this.outputQueue, this.seenCache, this.scheduler);
+            } while (this.running && processed > 0);
         } catch (error) {
-            console.error(`[UNIQUENESS] ❌ Unexpected error in periodic check: ${error.message}`);
+            // Already logged; the batch is back in the queue for the next interval
+        } finally {
+            this.checkInProgress = false;
         }
     }
     
@@ -287,6 +342,11 @@ class UniquenessChecker {
     isRunning() {
         return this.running;
     }
+    
+    // Scheduling policy and, per username and priority lane, queue depth and wait times
+    getSchedulingStats() {
+        return { ...this.scheduler.getStats(this.inputQueue.userStats()), lanes: this.inputQueue.laneStats() };
+    }
 }
 
 module.exports = UniquenessChecker;
\ No newline at end of file